@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+// bin/walla-export.js
+// Command-line exporter: one report export without the HTTP service, on the
+// same core (login, navigation, chunking, result cache, runs) as
+// GET /export/:report.
+//
+//   walla-export sales --start 2026-09-01 --end 2026-09-30 --out sales.csv
+//   walla-export first-purchase --range last-month --format ndjson --out -
+//
+// Credentials and configuration come from the same env vars as the service
+// (WALLA_USER / WALLA_PASS, WALLA_BUSINESSES_FILE, DATA_DIR, ...); the file goes
+// to --out (stdout with "-"), everything else to stderr.
+//
+// Exit status by error category (see "Errors" in the README):
+//   0 exported · 1 export failed · 2 usage / request problem · 3 Walla
+//   account (login, verification) · 4 no data · 5 Walla's UI changed ·
+//   6 transient, try again · 130 interrupted
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import readline from "node:readline/promises";
+import util from "node:util";
+import { listReports, validateFilters } from "../lib/reports.js";
+import { RANGE_PRESETS, isRangePreset, resolveRange } from "../lib/date-ranges.js";
+import { businessCredentials } from "../lib/businesses.js";
+import { getStoredCredentials, credentialStoreEnabled } from "../lib/credentials.js";
+import { checkExportParams } from "../lib/http.js";
+import { exportAsRun } from "../lib/export-runner.js";
+import { FORMATS, FILE_MIME_TYPES, convertDownload, renderOutput } from "../lib/parse.js";
+import { findChallenge, submitCode } from "../lib/verification.js";
+import { abortError, anySignal, timeoutSignal } from "../lib/abort.js";
+import { closeBrowser } from "../lib/browser-pool.js";
+import { ERROR_CODES, classifyError } from "../lib/errors.js";
+
+const USAGE = `Usage: walla-export <report> (--start YYYY-MM-DD --end YYYY-MM-DD | --range <preset>) [options]
+
+Options:
+  --business <key>|all    business to export (default: the default business)
+  --out <file>|-          where to write the file (default: its suggested name; - for stdout)
+  --format raw|json|ndjson  the file as downloaded, or its parsed rows (default raw)
+  --as csv|xlsx           the file converted to CSV / XLSX (implied by --out x.csv / x.xlsx)
+  --filter <name>=<value> report filter, repeatable (e.g. --filter basis=accrual)
+  --chunk auto|none|day|week|month  split long ranges
+  --extract auto|network|export     how rows are read from Walla
+  --timeout <seconds>     give up after that long
+  --refresh               export again instead of using the result cache
+  --credentials <name>    stored account to log in with (CREDENTIALS_MASTER_KEY)
+  --headed                show the browser window
+  --verbose               log the scraper's progress to stderr
+  --help                  show this help
+
+Reports: ${listReports().map((r) => r.key).join(", ")}
+Ranges:  ${RANGE_PRESETS.join(", ")}, last-<n>-days
+`;
+
+const OPTIONS = {
+  start: { type: "string" },
+  end: { type: "string" },
+  range: { type: "string" },
+  business: { type: "string" },
+  out: { type: "string", short: "o" },
+  format: { type: "string" },
+  as: { type: "string" },
+  filter: { type: "string", multiple: true, default: [] },
+  chunk: { type: "string" },
+  extract: { type: "string" },
+  timeout: { type: "string" },
+  refresh: { type: "boolean", default: false },
+  credentials: { type: "string" },
+  headed: { type: "boolean", default: false },
+  verbose: { type: "boolean", short: "v", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// ----------------------------------------
+// Exit status
+// ----------------------------------------
+const EXIT_USAGE = 2;
+const EXIT_INTERRUPTED = 130;
+
+// Error codes with their own status; other retryable codes are 6, the
+// rest (export_failed) 1
+const EXIT_BY_CODE = {
+  invalid_params: EXIT_USAGE,
+  missing_params: EXIT_USAGE,
+  missing_credentials: EXIT_USAGE,
+  unknown_credentials: EXIT_USAGE,
+  credential_store_disabled: EXIT_USAGE,
+  unknown_report: EXIT_USAGE,
+  unknown_business: EXIT_USAGE,
+  login_failed: 3,
+  mfa_required: 3,
+  verification_failed: 3,
+  session_expired: 3,
+  no_data: 4,
+  selector_not_found: 5,
+  unexpected_columns: 5,
+  cancelled: EXIT_INTERRUPTED,
+};
+
+function exitCodeFor(code) {
+  if (EXIT_BY_CODE[code] !== undefined) return EXIT_BY_CODE[code];
+  return ERROR_CODES[code]?.retryable && code !== "export_failed" ? 6 : 1;
+}
+
+function fail(code, message) {
+  process.stderr.write(`walla-export: ${code}: ${message}\n`);
+  return exitCodeFor(code);
+}
+
+// ----------------------------------------
+// Arguments
+// ----------------------------------------
+// --filter name=value pairs as an object, or { error }
+function parseFilters(pairs) {
+  const filters = {};
+  for (const pair of pairs) {
+    const eq = pair.indexOf("=");
+    if (eq < 1) return { error: `--filter must be name=value (got '${pair}').` };
+    filters[pair.slice(0, eq)] = pair.slice(eq + 1);
+  }
+  return { filters };
+}
+
+// What to write: --as / --format, or as implied by the --out extension
+function outputKind({ out, format, as }) {
+  if (as !== undefined && !FILE_MIME_TYPES[as]) {
+    return { error: `--as must be one of: ${Object.keys(FILE_MIME_TYPES).join(", ")}.` };
+  }
+  if (as && format && format !== "raw") {
+    return { error: "--as converts the file as downloaded, it cannot be combined with --format." };
+  }
+  if (as || format || !out) return { as, format };
+
+  const ext = path.extname(out).slice(1).toLowerCase();
+  if (FILE_MIME_TYPES[ext]) return { as: ext };
+  return { format: FORMATS.includes(ext) ? ext : undefined };
+}
+
+// Library logging to stderr (--verbose) or nowhere, keeping stdout for --out -
+function routeConsole(verbose) {
+  const write = verbose
+    ? (...args) => process.stderr.write(util.format(...args) + "\n")
+    : () => {};
+  for (const level of ["debug", "log", "info", "warn", "error"]) console[level] = write;
+}
+
+// ----------------------------------------
+// Verification codes
+// ----------------------------------------
+// Asks on the terminal for the code Walla sent, until it is accepted or the
+// login gives up; onWaitingForCode(null) ends the prompt
+function codePrompt() {
+  let asking = null;
+
+  return (open) => {
+    asking?.abort();
+    asking = null;
+    if (!open) return;
+
+    asking = new AbortController();
+    const { signal } = asking;
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+
+    (async () => {
+      for (;;) {
+        const code = await rl.question(
+          `Verification code for ${open.business || "Walla"}: `,
+          { signal }
+        );
+        const challenge = findChallenge({ id: open.id });
+        const outcome = challenge && (await submitCode(challenge, code.trim()));
+        if (!outcome || outcome.accepted || !outcome.attemptsLeft) return;
+        process.stderr.write(`Code rejected, ${outcome.attemptsLeft} attempt(s) left\n`);
+      }
+    })()
+      .catch(() => {})
+      .finally(() => rl.close());
+  };
+}
+
+// ----------------------------------------
+// Main
+// ----------------------------------------
+async function run(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = util.parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    return fail("invalid_params", `${err.message}\n\n${USAGE}`);
+  }
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  routeConsole(values.verbose);
+
+  const [reportKey, ...extra] = positionals;
+  if (!reportKey || extra.length) {
+    return fail("missing_params", `Name exactly one report.\n\n${USAGE}`);
+  }
+
+  let { start, end } = values;
+  if (values.range !== undefined) {
+    if (start || end) return fail("invalid_params", "Use either --range or --start / --end.");
+    if (!isRangePreset(values.range)) {
+      return fail(
+        "invalid_params",
+        `Unknown range '${values.range}'. Ranges: ${RANGE_PRESETS.join(", ")}, last-<n>-days.`
+      );
+    }
+    ({ start, end } = resolveRange(values.range));
+  }
+
+  const filterCheck = parseFilters(values.filter);
+  if (filterCheck.error) return fail("invalid_params", filterCheck.error);
+
+  const output = outputKind(values);
+  if (output.error) return fail("invalid_params", output.error);
+
+  const params = checkExportParams({
+    ...filterCheck.filters,
+    report: reportKey,
+    business: values.business,
+    start,
+    end,
+    format: output.format,
+    chunk: values.chunk,
+    extract: values.extract,
+    timeout: values.timeout,
+    refresh: values.refresh,
+  });
+  if (params.error) return fail(params.error.body.error, params.error.body.details);
+
+  // Unlike query params, every --filter has to be one of the report's
+  const strict = validateFilters(params.report, filterCheck.filters, { strict: true });
+  if (strict.error) return fail("invalid_params", strict.error);
+
+  let creds = {};
+  if (values.credentials !== undefined) {
+    if (!credentialStoreEnabled()) {
+      return fail("credential_store_disabled", "--credentials needs CREDENTIALS_MASTER_KEY.");
+    }
+    creds = getStoredCredentials(values.credentials);
+    if (!creds) {
+      return fail("unknown_credentials", `No stored credentials named '${values.credentials}'.`);
+    }
+  }
+
+  const missing = params.businesses
+    .filter((business) => {
+      const { username, password } = businessCredentials(business, creds);
+      return !username || !password;
+    })
+    .map((business) => business.key);
+  if (missing.length) {
+    return fail(
+      "missing_credentials",
+      "Set WALLA_USER and WALLA_PASS (or the business's credentials reference), " +
+        `or name a stored account with --credentials (missing for: ${missing.join(", ")}).`
+    );
+  }
+
+  if (values.headed) process.env.BROWSER_HEADED = "1";
+
+  // Ctrl-C stops the browser work; a second one exits right away
+  const interrupt = new AbortController();
+  process.once("SIGINT", () => {
+    process.stderr.write("Interrupted, stopping the export...\n");
+    interrupt.abort(abortError("cancelled", "Interrupted"));
+    process.once("SIGINT", () => process.exit(EXIT_INTERRUPTED));
+  });
+
+  const { report, businesses, format } = params;
+  let runId = null;
+  try {
+    const { download } = await exportAsRun(
+      report,
+      {
+        businesses,
+        start: params.start,
+        end: params.end,
+        chunk: params.chunk,
+        extract: params.extract,
+        filters: params.filters,
+        archive: params.archive,
+        refresh: params.refresh,
+        signal: anySignal(interrupt.signal, timeoutSignal(params.timeout)),
+        // Without a terminal nobody can type the code: mfa_required instead
+        waitForCode: Boolean(process.stdin.isTTY),
+        onWaitingForCode: codePrompt(),
+      },
+      creds,
+      { kind: "cli", onStart: (started) => (runId = started.id) }
+    );
+
+    const file = output.as
+      ? await convertDownload(download, output.as)
+      : await renderOutput(download, format);
+
+    const out = values.out ?? file.fileName;
+    if (out === "-") {
+      await new Promise((resolve, reject) =>
+        process.stdout.write(file.buffer, (err) => (err ? reject(err) : resolve()))
+      );
+    } else {
+      await fs.writeFile(out, file.buffer);
+    }
+
+    const details = [
+      `${file.buffer.length} bytes`,
+      ...(file.rowCount !== undefined ? [`${file.rowCount} rows`] : []),
+      ...(download.cache?.hit ? [`cached ${download.cache.cachedAt}`] : []),
+    ];
+    process.stderr.write(
+      `Wrote ${out === "-" ? "stdout" : out} (${details.join(", ")}), run ${runId}\n`
+    );
+    return 0;
+  } catch (err) {
+    const { code } = classifyError(err);
+    return fail(code, `${err.message || err}${runId ? ` (run ${runId})` : ""}`);
+  }
+}
+
+const status = await run(process.argv.slice(2));
+// Keeps the process up while Chromium closes, and exits should it not
+setTimeout(() => process.exit(status), 10000);
+await closeBrowser();
+process.exit(status);
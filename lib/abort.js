@@ -0,0 +1,45 @@
+// lib/abort.js
+// Abort signals that stop an export's browser work early. The signal's
+// reason is a codedError flagged `aborted`, so the export fails with it
+// rather than with whatever Playwright throws once its context is closed.
+
+import { codedError } from "./errors.js";
+
+export function abortError(code, message) {
+  return codedError(code, message, { aborted: true });
+}
+
+// Aborts with export_timeout after `seconds` (no signal without them)
+export function timeoutSignal(seconds) {
+  if (!seconds) return undefined;
+
+  const controller = new AbortController();
+  const timer = setTimeout(
+    () =>
+      controller.abort(
+        abortError("export_timeout", `Export did not finish within timeout=${seconds}s`)
+      ),
+    seconds * 1000
+  );
+  timer.unref();
+  return controller.signal;
+}
+
+// Aborts when the client disconnects before the response is complete
+// (cancelled), or after `timeoutSeconds` (export_timeout)
+export function requestSignal(res, timeoutSeconds) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort(abortError("cancelled", "The client closed the connection"));
+    }
+  });
+  return anySignal(controller.signal, timeoutSignal(timeoutSeconds));
+}
+
+// Several optional signals as one (undefined when there are none)
+export function anySignal(...signals) {
+  const present = signals.filter(Boolean);
+  if (present.length <= 1) return present[0];
+  return AbortSignal.any(present);
+}
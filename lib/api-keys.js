@@ -0,0 +1,261 @@
+// lib/api-keys.js
+// Named API keys, stored as SHA-256 hashes, each with a role, the reports
+// and businesses it may export, and its own rate limit. Configured as JSON
+// in API_KEYS (inline) or API_KEYS_FILE (default ./api-keys.json):
+//
+//   {
+//     "bookkeeper": {
+//       "keyHash": "9f86d0…",          // sha256 hex of the key
+//       "role": "archive",             // archive | export | admin
+//       "reports": ["sales"],          // default: all ("*")
+//       "businesses": ["the-pearl"],   // default: all ("*")
+//       "rateLimit": 30                // requests per minute, 0 = none
+//     }
+//   }
+//
+// Roles: `archive` only reads the local archive, `export` also runs
+// exports and jobs, `admin` can do everything (schedules, sessions,
+// credentials, runs, /audit). SCRAPER_TOKEN still works as an admin key
+// named "default".
+//
+//   API_KEY_RATE_LIMIT – requests per minute for keys without rateLimit (120)
+//   AUTH_DISABLED      – "1" to run without any key (local development)
+//
+// `npm run new-api-key` prints a fresh key and the hash to configure.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { codedError, ERROR_CODES } from "./errors.js";
+
+export const ROLES = ["archive", "export", "admin"];
+
+const DEFAULT_RATE_LIMIT = Math.max(
+  0,
+  Number(process.env.API_KEY_RATE_LIMIT ?? 120)
+);
+
+let keys = null;
+const buckets = new Map();
+
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+// ----------------------------------------
+// Config
+// ----------------------------------------
+function readConfig() {
+  if (process.env.API_KEYS) return JSON.parse(process.env.API_KEYS);
+
+  const file = path.resolve(process.env.API_KEYS_FILE || "./api-keys.json");
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (process.env.API_KEYS_FILE) {
+    throw new Error(`API_KEYS_FILE not found: ${file}`);
+  }
+  return {};
+}
+
+function scopeList(where, field, value) {
+  if (value === undefined || value === "*") return "*";
+  if (!Array.isArray(value) || !value.every((v) => typeof v === "string")) {
+    throw new Error(`${where}: '${field}' must be "*" or a list of keys`);
+  }
+  return value;
+}
+
+function loadKeys() {
+  if (keys) return keys;
+
+  keys = [];
+  for (const [name, entry] of Object.entries(readConfig())) {
+    const where = `API key '${name}'`;
+    if (!entry || !/^[0-9a-f]{64}$/i.test(entry.keyHash || "")) {
+      throw new Error(`${where}: 'keyHash' must be a sha256 hex digest`);
+    }
+    const role = entry.role || "export";
+    if (!ROLES.includes(role)) {
+      throw new Error(`${where}: 'role' must be one of ${ROLES.join(", ")}`);
+    }
+    keys.push({
+      name,
+      hash: Buffer.from(entry.keyHash.toLowerCase(), "hex"),
+      role,
+      reports: scopeList(where, "reports", entry.reports),
+      businesses: scopeList(where, "businesses", entry.businesses),
+      rateLimit: Math.max(0, Number(entry.rateLimit ?? DEFAULT_RATE_LIMIT)),
+    });
+  }
+
+  if (process.env.SCRAPER_TOKEN) {
+    keys.push({
+      name: "default",
+      hash: Buffer.from(hashApiKey(process.env.SCRAPER_TOKEN), "hex"),
+      role: "admin",
+      reports: "*",
+      businesses: "*",
+      rateLimit: DEFAULT_RATE_LIMIT,
+    });
+  }
+
+  if (keys.length) {
+    console.log(`[AUTH] API keys: ${keys.map((k) => `${k.name} (${k.role})`).join(", ")}`);
+  } else if (authDisabled()) {
+    console.warn("[AUTH] AUTH_DISABLED=1 – every request has full access");
+  } else {
+    console.warn("[AUTH] No API keys configured – every request will be refused");
+  }
+  return keys;
+}
+
+function authDisabled() {
+  return process.env.AUTH_DISABLED === "1";
+}
+
+// ----------------------------------------
+// Checks
+// ----------------------------------------
+// The key whose hash matches, compared in constant time against every
+// configured key (no early exit on a match)
+function findKey(presented) {
+  const digest = Buffer.from(hashApiKey(presented), "hex");
+  let found = null;
+  for (const key of loadKeys()) {
+    if (crypto.timingSafeEqual(digest, key.hash) && !found) found = key;
+  }
+  return found;
+}
+
+// Token bucket per key: rateLimit requests per minute, bursts up to it.
+// Seconds to wait, or 0 when the request may go ahead.
+function takeToken(key) {
+  if (!key.rateLimit) return 0;
+
+  const now = Date.now();
+  const bucket = buckets.get(key.name) || { tokens: key.rateLimit, at: now };
+  bucket.tokens = Math.min(
+    key.rateLimit,
+    bucket.tokens + ((now - bucket.at) / 60000) * key.rateLimit
+  );
+  bucket.at = now;
+  buckets.set(key.name, bucket);
+
+  if (bucket.tokens < 1) {
+    return Math.ceil(((1 - bucket.tokens) * 60) / key.rateLimit);
+  }
+  bucket.tokens -= 1;
+  return 0;
+}
+
+// Role a request needs, by route
+function requiredRole(method, urlPath) {
+  if (method === "GET" && ["/reports", "/businesses", "/destinations"].includes(urlPath)) {
+    return "archive";
+  }
+  if (method === "GET" && ["/transactions", "/first-purchases"].includes(urlPath)) {
+    return "archive";
+  }
+  if (
+    urlPath.startsWith("/export") ||
+    urlPath === "/reports/cohort-revenue" ||
+    urlPath === "/jobs" ||
+    urlPath.startsWith("/jobs/")
+  ) {
+    return "export";
+  }
+  return "admin";
+}
+
+function hasRole(key, role) {
+  return ROLES.indexOf(key.role) >= ROLES.indexOf(role);
+}
+
+function inScope(list, value) {
+  return list === "*" || list.includes(value);
+}
+
+// Whether `key` (req.apiKey) may touch these reports and businesses;
+// a codedError "forbidden" otherwise. Without auth everything is allowed.
+export function checkKeyScope(key, { reports = [], businesses = [] }) {
+  if (!key) return null;
+
+  const deniedReports = reports.filter((r) => !inScope(key.reports, r));
+  const deniedBusinesses = businesses.filter((b) => !inScope(key.businesses, b));
+  if (!deniedReports.length && !deniedBusinesses.length) return null;
+
+  return codedError(
+    "forbidden",
+    `API key '${key.name}' may not access ` +
+      [
+        deniedReports.length && `report(s) ${deniedReports.join(", ")}`,
+        deniedBusinesses.length && `business(es) ${deniedBusinesses.join(", ")}`,
+      ]
+        .filter(Boolean)
+        .join(" or ")
+  );
+}
+
+// The single business a scoped key is limited to, if any
+export function onlyBusiness(key) {
+  return key && key.businesses !== "*" && key.businesses.length === 1
+    ? key.businesses[0]
+    : null;
+}
+
+// ----------------------------------------
+// Middleware
+// ----------------------------------------
+// Authenticates X-Api-Key, applies the key's role and rate limit and sets
+// req.apiKey ({ name, role, reports, businesses }; null with AUTH_DISABLED)
+export function requireApiKey(req, res, next) {
+  const fail = (code, details) => {
+    const { status, retryable } = ERROR_CODES[code];
+    return res.status(status).json({ ok: false, error: code, retryable, details });
+  };
+
+  loadKeys();
+  if (!keys.length && authDisabled()) {
+    req.apiKey = null;
+    return next();
+  }
+
+  const presented = req.get("x-api-key");
+  const key = presented ? findKey(presented) : null;
+  if (!key) {
+    return fail(
+      "unauthorized",
+      keys.length
+        ? "Missing or unknown X-Api-Key."
+        : "No API keys are configured (API_KEYS / SCRAPER_TOKEN)."
+    );
+  }
+
+  const { name, role, reports, businesses } = key;
+  req.apiKey = { name, role, reports, businesses };
+
+  if (!hasRole(key, requiredRole(req.method, req.path))) {
+    return fail(
+      "forbidden",
+      `API key '${name}' (${role}) may not ${req.method} ${req.path}.`
+    );
+  }
+
+  const wait = takeToken(key);
+  if (wait) {
+    res.set("Retry-After", String(wait));
+    return fail(
+      "rate_limited",
+      `API key '${name}' is over its limit of ${key.rateLimit} requests per minute.`
+    );
+  }
+  return next();
+}
+
+// `npm run new-api-key`
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const key = crypto.randomBytes(24).toString("base64url");
+  console.log(`key:     ${key}`);
+  console.log(`keyHash: ${hashApiKey(key)}`);
+}
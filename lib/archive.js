@@ -0,0 +1,307 @@
+// lib/archive.js
+// Local SQLite archive of parsed sales / first-purchase rows
+//
+// Rows are keyed by business + a stable identifier (transaction id, client
+// id, ...) so re-exporting an overlapping range upserts instead of
+// duplicating. Every ingest is recorded, which is what `sync` uses to export
+// only the days after the ingested (gap-free) coverage.
+//
+//   ARCHIVE_INGEST – "1" to ingest every sales / first-purchase export
+//                    (requests can still opt in / out with archive=1|0)
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import Database from "better-sqlite3";
+import { DATA_DIR } from "./config.js";
+import { parseExport } from "./parse.js";
+
+const DB_FILE = path.join(DATA_DIR, "archive.sqlite");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per report: target table, candidate keys for the row id and for each
+// extracted (queryable) column. Parsed keys depend on Walla's headers, so
+// the first candidate present in the export wins.
+const ARCHIVES = {
+  sales: {
+    table: "transactions",
+    idKeys: [
+      "transactionId",
+      "saleId",
+      "paymentId",
+      "orderId",
+      "receiptId",
+      "invoiceId",
+      "id",
+    ],
+    columns: {
+      date: ["paidDate", "datePaid", "date", "saleDate", "transactionDate"],
+      location: ["location", "locationName"],
+      payment_method: ["paymentMethod", "paymentType", "payment"],
+      amount: ["total", "amount", "amountPaid", "netTotal", "grossTotal"],
+      client_id: ["clientId", "customerId"],
+    },
+  },
+
+  "first-purchase": {
+    table: "first_purchases",
+    idKeys: ["clientId", "customerId"],
+    columns: {
+      date: ["firstPurchaseDate", "purchaseDate", "date"],
+      client_id: ["clientId", "customerId"],
+      offering: ["offering", "offeringName", "firstPurchase", "item"],
+      location: ["location", "locationName"],
+    },
+  },
+};
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  db = new Database(DB_FILE);
+  db.pragma("journal_mode = WAL");
+
+  for (const { table, columns } of Object.values(ARCHIVES)) {
+    const extra = Object.keys(columns)
+      .map((name) => `${name} ${name === "amount" ? "REAL" : "TEXT"}`)
+      .join(", ");
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        business TEXT NOT NULL,
+        id TEXT NOT NULL,
+        ${extra},
+        data TEXT NOT NULL,
+        first_seen_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (business, id)
+      );
+      CREATE INDEX IF NOT EXISTS ${table}_date ON ${table} (business, date);
+    `);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ingests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      report TEXT NOT NULL,
+      business TEXT NOT NULL,
+      start TEXT NOT NULL,
+      end TEXT NOT NULL,
+      row_count INTEGER NOT NULL,
+      inserted INTEGER NOT NULL,
+      updated INTEGER NOT NULL,
+      ingested_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ingests_lookup ON ingests (report, business, end);
+  `);
+
+  return db;
+}
+
+// ----------------------------------------
+// Ingest
+// ----------------------------------------
+export function isArchivable(reportKey) {
+  return Object.prototype.hasOwnProperty.call(ARCHIVES, reportKey);
+}
+
+export function shouldIngest(reportKey, requested) {
+  if (!isArchivable(reportKey)) return false;
+  if (requested !== undefined && requested !== null && requested !== "") {
+    return ["1", "true", "yes"].includes(String(requested).toLowerCase());
+  }
+  return process.env.ARCHIVE_INGEST === "1";
+}
+
+function pick(row, candidates) {
+  const key = candidates.find((k) => row[k] !== undefined && row[k] !== null);
+  return key ? row[key] : null;
+}
+
+// Stable id: a real identifier column when the export has one, otherwise a
+// content hash plus the occurrence number among identical rows
+function rowIds(rows, idKeys) {
+  const occurrences = new Map();
+  return rows.map((row) => {
+    const id = pick(row, idKeys);
+    if (id !== null && id !== "") return String(id);
+
+    const hash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(row))
+      .digest("hex")
+      .slice(0, 32);
+    const n = (occurrences.get(hash) || 0) + 1;
+    occurrences.set(hash, n);
+    return `h:${hash}:${n}`;
+  });
+}
+
+function recordIngest(reportKey, business, range, counts) {
+  getDb()
+    .prepare(
+      `INSERT INTO ingests (report, business, start, end, row_count, inserted, updated, ingested_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      reportKey,
+      business,
+      range.start,
+      range.end,
+      counts.rowCount,
+      counts.inserted,
+      counts.updated,
+      new Date().toISOString()
+    );
+}
+
+// Parses a download and upserts its rows. Returns { rowCount, inserted, updated }.
+export async function ingestDownload(reportKey, business, range, download) {
+  const { table, idKeys, columns } = ARCHIVES[reportKey];
+  const { rows } = await parseExport(download);
+  const ids = rowIds(rows, idKeys);
+  const now = new Date().toISOString();
+
+  const names = Object.keys(columns);
+  const database = getDb();
+  const exists = database.prepare(
+    `SELECT 1 FROM ${table} WHERE business = ? AND id = ?`
+  );
+  const upsert = database.prepare(`
+    INSERT INTO ${table} (business, id, ${names.join(", ")}, data, first_seen_at, updated_at)
+    VALUES (?, ?, ${names.map(() => "?").join(", ")}, ?, ?, ?)
+    ON CONFLICT (business, id) DO UPDATE SET
+      ${names.map((n) => `${n} = excluded.${n}`).join(", ")},
+      data = excluded.data,
+      updated_at = excluded.updated_at
+  `);
+
+  const counts = { rowCount: rows.length, inserted: 0, updated: 0 };
+
+  database.transaction(() => {
+    rows.forEach((row, i) => {
+      const values = names.map((name) => {
+        const value = pick(row, columns[name]);
+        if (value === null) return null;
+        // Keep just the Walla-local calendar day for date filtering
+        return name === "date" ? String(value).slice(0, 10) : value;
+      });
+
+      if (exists.get(business, ids[i])) counts.updated++;
+      else counts.inserted++;
+
+      upsert.run(business, ids[i], ...values, JSON.stringify(row), now, now);
+    });
+  })();
+
+  recordIngest(reportKey, business, range, counts);
+  console.log(
+    `[ARCHIVE] ${reportKey}/${business} ${range.start}..${range.end}: ` +
+      `${counts.inserted} new, ${counts.updated} updated`
+  );
+  return counts;
+}
+
+// A successful export without data still counts as ingested for `sync`
+export function recordEmptyIngest(reportKey, business, range) {
+  const counts = { rowCount: 0, inserted: 0, updated: 0 };
+  recordIngest(reportKey, business, range, counts);
+  return counts;
+}
+
+// ----------------------------------------
+// Sync
+// ----------------------------------------
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextDay(day) {
+  return formatDay(new Date(new Date(`${day}T00:00:00Z`).getTime() + DAY_MS));
+}
+
+// Last day covered without a gap by the business's ingests, counted from
+// its earliest one (null when there never was one). A range that failed
+// between two later ingests ends the coverage, so sync exports it again.
+function coveredThrough(reportKey, business) {
+  const ranges = getDb()
+    .prepare("SELECT start, end FROM ingests WHERE report = ? AND business = ? ORDER BY start")
+    .all(reportKey, business);
+  if (!ranges.length) return null;
+
+  let covered = ranges[0].end;
+  for (const { start, end } of ranges.slice(1)) {
+    if (start > nextDay(covered)) break;
+    if (end > covered) covered = end;
+  }
+  return covered;
+}
+
+// Day after the ingested coverage of every business (null when one of them
+// was never ingested)
+export function syncStart(reportKey, businessKeys) {
+  let earliest = null;
+  for (const business of businessKeys) {
+    const covered = coveredThrough(reportKey, business);
+    if (!covered) return null;
+    if (!earliest || covered < earliest) earliest = covered;
+  }
+  return nextDay(earliest);
+}
+
+// ----------------------------------------
+// Queries
+// ----------------------------------------
+const QUERY_MAX_LIMIT = 10000;
+
+// filters: { from, to, business, ...column equality filters }
+export function queryArchive(reportKey, filters, { limit, offset } = {}) {
+  const { table, columns } = ARCHIVES[reportKey];
+  const where = [];
+  const args = [];
+
+  if (filters.from) {
+    where.push("date >= ?");
+    args.push(filters.from);
+  }
+  if (filters.to) {
+    where.push("date <= ?");
+    args.push(filters.to);
+  }
+  if (filters.business) {
+    where.push("business = ?");
+    args.push(filters.business);
+  }
+  for (const name of Object.keys(columns)) {
+    if (filters[name] !== undefined) {
+      where.push(`${name} = ?`);
+      args.push(filters[name]);
+    }
+  }
+
+  const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const pageSize = Math.min(QUERY_MAX_LIMIT, Math.max(1, Number(limit) || 1000));
+  const skip = Math.max(0, Number(offset) || 0);
+
+  const database = getDb();
+  const { total } = database
+    .prepare(`SELECT COUNT(*) AS total FROM ${table} ${clause}`)
+    .get(...args);
+
+  const rows = database
+    .prepare(
+      `SELECT business, id, data FROM ${table} ${clause}
+       ORDER BY date, business, id LIMIT ? OFFSET ?`
+    )
+    .all(...args, pageSize, skip)
+    .map((r) => ({
+      archiveId: r.id,
+      business: r.business,
+      ...JSON.parse(r.data),
+    }));
+
+  return { total, limit: pageSize, offset: skip, rows };
+}
@@ -0,0 +1,141 @@
+// lib/audit.js
+// Append-only audit log: who (API key) exported which report, for which
+// businesses and range, when, and with what outcome. One JSON line per
+// request in $DATA_DIR/audit.log; entries are never rewritten.
+//
+// Audited: every request that changes something (non-GET), exports, cohort
+// reports, archive queries and job / run file downloads.
+
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import { DATA_DIR } from "./config.js";
+
+const AUDIT_FILE = path.join(DATA_DIR, "audit.log");
+
+const AUDITED_READS = [
+  /^\/export/,
+  /^\/reports\/cohort-revenue$/,
+  /^\/(transactions|first-purchases)$/,
+  /^\/jobs\/[^/]+\/file$/,
+  /^\/runs\/[^/]+\/artifacts\//,
+];
+
+let appending = Promise.resolve();
+
+function isAudited(req) {
+  return req.method !== "GET" || AUDITED_READS.some((re) => re.test(req.path));
+}
+
+function append(entry) {
+  appending = appending
+    .catch(() => {})
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+      await fs.promises.appendFile(AUDIT_FILE, JSON.stringify(entry) + "\n", {
+        mode: 0o600,
+      });
+    })
+    .catch((err) => console.error("[AUDIT] Could not append:", err));
+  return appending;
+}
+
+// What the request was about: set by the route (res.locals.audit) once its
+// params are validated, else taken from the raw query / body
+function subject(req, res) {
+  const source = { ...req.query, ...(req.body || {}) };
+  const legacy = /^\/export-walla-(.+)$/.exec(req.path)?.[1];
+  const pick = (name) => (source[name] === undefined ? null : String(source[name]));
+
+  return {
+    report:
+      /^\/export\/([^/]+)/.exec(req.path)?.[1] || legacy || pick("report"),
+    business: pick("business"),
+    start: pick("start") ?? pick("from"),
+    end: pick("end") ?? pick("to"),
+    ...res.locals.audit,
+  };
+}
+
+// ----------------------------------------
+// Middleware
+// ----------------------------------------
+// Mount after authentication (req.apiKey)
+export function auditRequests(req, res, next) {
+  if (!isAudited(req)) return next();
+
+  const startedAt = Date.now();
+  let error = null;
+  const ids = {};
+
+  // Error code and run / job ids from JSON responses
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.ok === false) error = body.error || null;
+    if (body?.runId) ids.runId = body.runId;
+    if (body?.jobId) ids.jobId = body.jobId;
+    return json(body);
+  };
+
+  let written = false;
+  const write = (aborted) => {
+    if (written) return;
+    written = true;
+    const status = res.statusCode;
+    append({
+      at: new Date(startedAt).toISOString(),
+      actor: req.apiKey?.name ?? null,
+      ip: req.ip,
+      method: req.method,
+      path: req.path,
+      ...subject(req, res),
+      status,
+      outcome: aborted ? "aborted" : status < 400 && !error ? "ok" : "error",
+      error,
+      runId: ids.runId || res.getHeader("x-run-id") || null,
+      jobId: ids.jobId || null,
+      durationMs: Date.now() - startedAt,
+    });
+  };
+  res.on("finish", () => write(false));
+  res.on("close", () => write(!res.writableFinished));
+
+  return next();
+}
+
+// ----------------------------------------
+// Queries
+// ----------------------------------------
+// Newest first. filters: { actor, report, business, outcome, since, until }
+// (since / until compare against `at`, ISO dates or timestamps)
+export async function queryAudit(filters = {}, { limit = 100, offset = 0 } = {}) {
+  await appending;
+  if (!fs.existsSync(AUDIT_FILE)) return { total: 0, entries: [] };
+
+  const matches = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(AUDIT_FILE, "utf8"),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // a torn last line after a crash
+    }
+
+    if (filters.actor && entry.actor !== filters.actor) continue;
+    if (filters.report && entry.report !== filters.report) continue;
+    if (filters.business && entry.business !== filters.business) continue;
+    if (filters.outcome && entry.outcome !== filters.outcome) continue;
+    if (filters.since && entry.at < filters.since) continue;
+    if (filters.until && entry.at.slice(0, filters.until.length) > filters.until) continue;
+    matches.push(entry);
+  }
+
+  matches.reverse();
+  return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+}
@@ -0,0 +1,190 @@
+// lib/browser-pool.js
+// One long-lived Chromium shared by all exports, with a bounded FIFO queue
+//
+//   MAX_CONCURRENT_EXPORTS – exports allowed to hold a browser context (2)
+//   MAX_QUEUE_DEPTH        – requests allowed to wait for a slot (10)
+//   MAX_QUEUE_WAIT_MS      – how long a queued request waits (300000)
+//   CHROMIUM_EXECUTABLE_PATH – use this Chromium instead of Playwright's own
+//   BROWSER_HEADED         – "1" shows the browser window (debugging)
+
+import { chromium } from "playwright";
+import { codedError } from "./errors.js";
+
+const MAX_CONCURRENT = Math.max(1, Number(process.env.MAX_CONCURRENT_EXPORTS) || 2);
+const MAX_QUEUE = Math.max(0, Number(process.env.MAX_QUEUE_DEPTH ?? 10));
+const MAX_WAIT_MS = Math.max(1000, Number(process.env.MAX_QUEUE_WAIT_MS) || 300000);
+
+const LAUNCH_OPTIONS = {
+  // Closed by our own graceful shutdown (lib/shutdown.js), not on the signal
+  handleSIGTERM: false,
+  handleSIGINT: false,
+  executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined,
+  args: [
+    "--no-sandbox",
+    "--disable-dev-shm-usage",
+    "--disable-web-security",
+    "--disable-features=IsolateOrigins,site-per-process",
+  ],
+};
+
+// How long closeBrowser waits for Chromium to exit
+const CLOSE_TIMEOUT_MS = 5000;
+
+let browserPromise = null;
+let launches = 0;
+let crashes = 0;
+
+let active = 0;
+const waiters = [];
+
+// Rolling average job time, used for Retry-After hints
+let avgJobMs = 60000;
+
+// ----------------------------------------
+// Browser lifecycle
+// ----------------------------------------
+function getBrowser() {
+  if (!browserPromise) {
+    launches++;
+    console.log(`[POOL] Launching browser (launch #${launches})...`);
+
+    // Read at launch, so the CLI's --headed can still set it
+    const headless = process.env.BROWSER_HEADED !== "1";
+    browserPromise = chromium.launch({ ...LAUNCH_OPTIONS, headless }).then(
+      (browser) => {
+        browser.on("disconnected", () => {
+          crashes++;
+          console.error("[POOL] Browser disconnected – will relaunch on next use");
+          browserPromise = null;
+        });
+        return browser;
+      },
+      (err) => {
+        browserPromise = null;
+        throw err;
+      }
+    );
+  }
+  return browserPromise;
+}
+
+// ----------------------------------------
+// Concurrency slots
+// ----------------------------------------
+function retryAfterSeconds() {
+  const ahead = waiters.length / MAX_CONCURRENT + 1;
+  return Math.max(1, Math.ceil((avgJobMs * ahead) / 1000));
+}
+
+function acquireSlot(signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+
+  if (active < MAX_CONCURRENT && !waiters.length) {
+    active++;
+    return Promise.resolve();
+  }
+
+  if (waiters.length >= MAX_QUEUE) {
+    return Promise.reject(
+      codedError("queue_full", "Export queue is full, try again later", {
+        retryAfter: retryAfterSeconds(),
+      })
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    // Leaves the queue without a slot
+    const leave = (err) => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      signal?.removeEventListener("abort", waiter.onAbort);
+      reject(err);
+    };
+    const waiter = {
+      resolve: () => {
+        signal?.removeEventListener("abort", waiter.onAbort);
+        resolve();
+      },
+      leave,
+      onAbort: () => leave(signal.reason),
+    };
+    waiter.timer = setTimeout(
+      () =>
+        leave(
+          codedError(
+            "queue_timeout",
+            `Waited ${MAX_WAIT_MS}ms for a free browser slot`,
+            { retryAfter: retryAfterSeconds() }
+          )
+        ),
+      MAX_WAIT_MS
+    );
+    signal?.addEventListener("abort", waiter.onAbort, { once: true });
+    waiters.push(waiter);
+  });
+}
+
+function releaseSlot() {
+  const next = waiters.shift();
+  if (next) {
+    // Hand the slot straight to the next waiter; `active` stays the same
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    active--;
+  }
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+// Runs fn(browser) once a slot is free; an aborted `signal` takes the
+// request out of the queue
+export async function withPooledBrowser(fn, { signal } = {}) {
+  await acquireSlot(signal);
+  const startedAt = Date.now();
+
+  try {
+    const browser = await getBrowser();
+    return await fn(browser);
+  } finally {
+    avgJobMs = avgJobMs * 0.8 + (Date.now() - startedAt) * 0.2;
+    releaseSlot();
+  }
+}
+
+// Turns away every queued request with `err` (shutdown)
+export function drainQueue(err) {
+  for (const waiter of [...waiters]) waiter.leave(err);
+}
+
+// Closes the browser, giving up after a few seconds (Playwright kills what
+// is left of it when the process exits)
+export async function closeBrowser() {
+  const pending = browserPromise;
+  browserPromise = null;
+  const browser = await pending?.catch(() => null);
+  if (!browser) return;
+
+  browser.removeAllListeners("disconnected");
+  const closed = await Promise.race([
+    browser.close().then(
+      () => true,
+      () => false
+    ),
+    new Promise((resolve) => setTimeout(() => resolve(false), CLOSE_TIMEOUT_MS).unref()),
+  ]);
+  console.log(closed ? "[POOL] Browser closed" : "[POOL] Browser did not close in time");
+}
+
+export function poolStats() {
+  return {
+    browserRunning: Boolean(browserPromise),
+    browserLaunches: launches,
+    browserCrashes: crashes,
+    activeJobs: active,
+    queueDepth: waiters.length,
+    maxConcurrent: MAX_CONCURRENT,
+    maxQueueDepth: MAX_QUEUE,
+  };
+}
@@ -0,0 +1,154 @@
+// lib/businesses.js
+// Walla businesses (studios) the service can export for
+//
+// Configured as JSON, from WALLA_BUSINESSES (inline) or WALLA_BUSINESSES_FILE
+// (default ./businesses.json when present):
+//
+//   {
+//     "the-pearl": {
+//       "slug": "the-pearl",        // path segment in manage.hellowalla.com URLs
+//       "bizId": "2657",            // bizId on the login URL
+//       "name": "The Pearl",        // bizName on the login URL
+//       "credentials": "PEARL"      // -> WALLA_USER_PEARL / WALLA_PASS_PEARL
+//     }                             //    (and WALLA_TOTP_PEARL, see below),
+//   }                               //    else the stored account "pearl"
+//
+// Accounts behind a verification code can have it generated: the base32
+// TOTP secret from WALLA_TOTP_<REF>, else WALLA_TOTP.
+//
+// Without any config the service exports for The Pearl only, as before.
+
+import fs from "node:fs";
+import path from "node:path";
+import { getStoredCredentials } from "./credentials.js";
+
+const BUILTIN_BUSINESSES = {
+  "the-pearl": {
+    slug: "the-pearl",
+    bizId: "2657",
+    name: "The Pearl",
+    credentials: null,
+  },
+};
+
+let businesses = null;
+
+function readConfig() {
+  if (process.env.WALLA_BUSINESSES) {
+    return JSON.parse(process.env.WALLA_BUSINESSES);
+  }
+
+  const file = path.resolve(
+    process.env.WALLA_BUSINESSES_FILE || "./businesses.json"
+  );
+  if (fs.existsSync(file)) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  if (process.env.WALLA_BUSINESSES_FILE) {
+    throw new Error(`WALLA_BUSINESSES_FILE not found: ${file}`);
+  }
+  return BUILTIN_BUSINESSES;
+}
+
+function loadBusinesses() {
+  if (businesses) return businesses;
+
+  const config = readConfig();
+  businesses = {};
+
+  for (const [key, entry] of Object.entries(config)) {
+    if (key === "all") {
+      throw new Error("Business key 'all' is reserved");
+    }
+    if (!entry || !entry.slug || !entry.bizId || !entry.name) {
+      throw new Error(`Business '${key}' needs slug, bizId and name`);
+    }
+    businesses[key] = {
+      key,
+      slug: String(entry.slug),
+      bizId: String(entry.bizId),
+      name: String(entry.name),
+      credentials: entry.credentials ? String(entry.credentials) : null,
+    };
+  }
+
+  if (!Object.keys(businesses).length) {
+    throw new Error("No Walla businesses configured");
+  }
+
+  console.log(
+    `[BUSINESS] Configured businesses: ${Object.keys(businesses).join(", ")}`
+  );
+  return businesses;
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+export function defaultBusinessKey() {
+  const all = loadBusinesses();
+  const key = process.env.DEFAULT_BUSINESS;
+  return key && all[key] ? key : Object.keys(all)[0];
+}
+
+export function getBusiness(key) {
+  const all = loadBusinesses();
+  return Object.prototype.hasOwnProperty.call(all, key) ? all[key] : null;
+}
+
+// "all" expands to every configured business
+export function resolveBusinesses(key) {
+  const requested = key ? String(key) : defaultBusinessKey();
+  if (requested === "all") return Object.values(loadBusinesses());
+
+  const business = getBusiness(requested);
+  return business ? [business] : null;
+}
+
+// Configured businesses without credential references
+export function listBusinesses() {
+  const defaultKey = defaultBusinessKey();
+  return Object.values(loadBusinesses()).map(({ key, slug, bizId, name }) => ({
+    key,
+    slug,
+    bizId,
+    name,
+    default: key === defaultKey,
+  }));
+}
+
+// Credentials for a business: its referenced env vars first, then the
+// stored account of that name (lib/credentials.js), then a stored account
+// the caller named (`fallback` with its `account`), then the global
+// WALLA_USER / WALLA_PASS, then whatever else the request supplied.
+export function businessCredentials(business, fallback = {}) {
+  const ref = business.credentials
+    ? business.credentials.toUpperCase().replace(/[^A-Z0-9]+/g, "_")
+    : null;
+
+  const stored = ref ? getStoredCredentials(business.credentials) : null;
+  const named = fallback.account ? fallback : {};
+
+  return {
+    username:
+      (ref && process.env[`WALLA_USER_${ref}`]) ||
+      stored?.username ||
+      named.username ||
+      process.env.WALLA_USER ||
+      fallback.username,
+    password:
+      (ref && process.env[`WALLA_PASS_${ref}`]) ||
+      stored?.password ||
+      named.password ||
+      process.env.WALLA_PASS ||
+      fallback.password,
+    totpSecret:
+      (ref && process.env[`WALLA_TOTP_${ref}`]) ||
+      stored?.totpSecret ||
+      named.totpSecret ||
+      process.env.WALLA_TOTP ||
+      fallback.totpSecret ||
+      null,
+  };
+}
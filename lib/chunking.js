@@ -0,0 +1,131 @@
+// lib/chunking.js
+// Splits long start/end ranges into day / week / month chunks and merges the
+// per-chunk downloads back into one CSV with a single header
+//
+//   EXPORT_CHUNK           – default chunk unit: auto | none | day | week | month
+//   EXPORT_CHUNK_AUTO_DAYS – with "auto", ranges longer than this are split
+//                            into months (31)
+
+import { readRecords } from "./parse.js";
+import { stringifyCsv } from "./csv.js";
+import { codedError } from "./errors.js";
+
+export const CHUNK_UNITS = ["auto", "none", "day", "week", "month"];
+
+const DEFAULT_UNIT = CHUNK_UNITS.includes(process.env.EXPORT_CHUNK)
+  ? process.env.EXPORT_CHUNK
+  : "auto";
+const AUTO_MAX_DAYS = Number(process.env.EXPORT_CHUNK_AUTO_DAYS) || 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ----------------------------------------
+// Date helpers (YYYY-MM-DD, UTC arithmetic – no time-of-day involved)
+// ----------------------------------------
+function parseDay(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!m) return null;
+  const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function endOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+}
+
+// ----------------------------------------
+// Range splitting
+// ----------------------------------------
+export function resolveChunkUnit(requested, start, end) {
+  const unit = requested || DEFAULT_UNIT;
+  if (unit !== "auto") return unit;
+
+  const from = parseDay(start);
+  const to = parseDay(end);
+  if (!from || !to) return "none";
+
+  const days = Math.round((to - from) / DAY_MS) + 1;
+  return days > AUTO_MAX_DAYS ? "month" : "none";
+}
+
+export function splitRange(start, end, unit) {
+  const from = parseDay(start);
+  const to = parseDay(end);
+
+  if (unit === "none" || !from || !to || from > to) {
+    return [{ start, end }];
+  }
+
+  const ranges = [];
+  let cursor = from;
+
+  while (cursor <= to) {
+    let chunkEnd;
+    if (unit === "day") chunkEnd = cursor;
+    else if (unit === "week") chunkEnd = addDays(cursor, 6);
+    else chunkEnd = endOfMonth(cursor);
+
+    if (chunkEnd > to) chunkEnd = to;
+
+    ranges.push({ start: formatDay(cursor), end: formatDay(chunkEnd) });
+    cursor = addDays(chunkEnd, 1);
+  }
+
+  return ranges;
+}
+
+// ----------------------------------------
+// Merging
+// ----------------------------------------
+// `downloads` lines up with `chunks`; null means the chunk had no data.
+// Chunks never overlap, so every row is kept – identical rows in two chunks
+// are separate sales on different days.
+export async function mergeChunkDownloads(report, opts, chunks, downloads) {
+  let header = null;
+  const rows = [];
+
+  for (let i = 0; i < downloads.length; i++) {
+    if (!downloads[i]) {
+      chunks[i].rows = 0;
+      continue;
+    }
+
+    const { records } = await readRecords(downloads[i]);
+    if (!records.length) {
+      chunks[i].rows = 0;
+      continue;
+    }
+
+    const [chunkHeader, ...chunkRows] = records;
+    if (!header) header = chunkHeader;
+
+    // Align columns by header name in case a chunk's export differs
+    const index = header.map((name) => chunkHeader.indexOf(name));
+    for (const row of chunkRows) {
+      rows.push(index.map((col) => (col < 0 ? "" : row[col])));
+    }
+    chunks[i].rows = chunkRows.length;
+  }
+
+  if (!header) {
+    throw codedError(
+      "no_data",
+      `No data in any chunk between ${opts.start} and ${opts.end}`
+    );
+  }
+
+  return {
+    fileName: `${report.key}_${opts.business.key}_${opts.start}_${opts.end}.csv`,
+    mimeType: "text/csv",
+    buffer: Buffer.from(stringifyCsv([header, ...rows])),
+    chunks,
+  };
+}
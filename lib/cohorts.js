@@ -0,0 +1,295 @@
+// lib/cohorts.js
+// New-client revenue: the first-purchase export of an acquisition window
+// joined by client with the sales export that follows it, summed per
+// weekly or monthly acquisition cohort.
+//
+// Clients are matched on their Walla client id when both exports carry
+// one, otherwise on the client name (case-insensitive); with business=all
+// the business is part of the match. A client's revenue is every sale from
+// the first-purchase day until `horizon` days later.
+
+import { getReport, isFiltered } from "./reports.js";
+import { cachedExport } from "./result-cache.js";
+import { parseExport } from "./parse.js";
+import { stringifyCsv } from "./csv.js";
+import { shouldIngest } from "./archive.js";
+import { resolveRange } from "./date-ranges.js";
+import { codedError } from "./errors.js";
+
+export const COHORT_GROUPS = ["week", "month"];
+export const DEFAULT_HORIZON = "90d";
+
+// Cumulative revenue is reported every CHECKPOINT_DAYS and at the horizon
+const CHECKPOINT_DAYS = 30;
+const MAX_HORIZON_DAYS = 3660;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Column keys (as produced by lib/parse.js) the join relies on
+const COLUMNS = {
+  clientId: ["clientId"],
+  clientName: ["client", "clientName"],
+  firstPurchaseDate: ["firstPurchaseDate", "date"],
+  offering: ["offering", "offeringName"],
+  saleDate: ["paidDate", "saleDate", "date"],
+  amount: ["total", "amount"],
+};
+
+// ----------------------------------------
+// Helpers
+// ----------------------------------------
+// "90d" -> 90; null when malformed
+export function parseHorizon(value) {
+  const m = /^(\d{1,4})d$/.exec(String(value));
+  const days = m ? Number(m[1]) : 0;
+  return days >= 1 && days <= MAX_HORIZON_DAYS ? days : null;
+}
+
+function parseDay(value) {
+  return new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return formatDay(new Date(parseDay(day).getTime() + days * DAY_MS));
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Cohort a first-purchase day belongs to (weeks start on Monday)
+function cohortOf(day, groupBy) {
+  const date = parseDay(day);
+  if (groupBy === "month") {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+    return { cohort: formatDay(start).slice(0, 7), start: formatDay(start), end: formatDay(end) };
+  }
+  const start = addDays(day, -((date.getUTCDay() + 6) % 7));
+  return { cohort: start, start, end: addDays(start, 6) };
+}
+
+// Key of the first listed column the rows have; null when none
+function columnKey(columns, candidates) {
+  const keys = new Set(columns.map((c) => c.key));
+  return candidates.find((key) => keys.has(key)) || null;
+}
+
+function requireColumn(parsed, reportKey, name) {
+  const key = columnKey(parsed.columns, COLUMNS[name]);
+  if (!key) {
+    throw codedError(
+      "unexpected_columns",
+      `The ${reportKey} export has no ${COLUMNS[name].join(" / ")} column`
+    );
+  }
+  return key;
+}
+
+function checkpoints(horizonDays) {
+  const days = [];
+  for (let d = CHECKPOINT_DAYS; d < horizonDays; d += CHECKPOINT_DAYS) days.push(d);
+  return [...days, horizonDays];
+}
+
+// ----------------------------------------
+// Join
+// ----------------------------------------
+// firstPurchases / sales are parseExport() results (sales may be null when
+// the horizon had no sales). salesEnd is the last day sales were fetched for.
+export function joinCohorts({ firstPurchases, sales, groupBy, horizonDays, salesEnd }) {
+  const fpId = columnKey(firstPurchases.columns, COLUMNS.clientId);
+  const saleId = sales && columnKey(sales.columns, COLUMNS.clientId);
+  const byId = Boolean(fpId && (!sales || saleId));
+
+  // The client name is only needed when there are no ids to match on
+  const nameKey = (parsed, reportKey) =>
+    byId
+      ? columnKey(parsed.columns, COLUMNS.clientName)
+      : requireColumn(parsed, reportKey, "clientName");
+
+  const fp = {
+    id: fpId,
+    name: nameKey(firstPurchases, "first-purchase"),
+    date: requireColumn(firstPurchases, "first-purchase", "firstPurchaseDate"),
+    offering: columnKey(firstPurchases.columns, COLUMNS.offering),
+  };
+  const sale = sales && {
+    id: saleId,
+    name: nameKey(sales, "sales"),
+    date: requireColumn(sales, "sales", "saleDate"),
+    amount: requireColumn(sales, "sales", "amount"),
+  };
+  const clientKey = (row, cols) => {
+    const who = byId ? row[cols.id] : String(row[cols.name] ?? "").trim().toLowerCase();
+    return who === null || who === "" ? null : `${row.business ?? ""}|${who}`;
+  };
+
+  // Each client once, at their earliest first purchase
+  const clients = new Map();
+  for (const row of firstPurchases.rows) {
+    const key = clientKey(row, fp);
+    const day = row[fp.date] && String(row[fp.date]).slice(0, 10);
+    if (!key || !day) continue;
+    const known = clients.get(key);
+    if (known && known.day <= day) continue;
+    clients.set(key, {
+      day,
+      offering: (fp.offering && row[fp.offering]) || "(none)",
+      sales: [],
+    });
+  }
+
+  for (const row of sales?.rows || []) {
+    const client = clients.get(clientKey(row, sale));
+    const day = row[sale.date] && String(row[sale.date]).slice(0, 10);
+    if (!client || !day || typeof row[sale.amount] !== "number") continue;
+    if (day < client.day || day >= addDays(client.day, horizonDays)) continue;
+    client.sales.push({ day, amount: row[sale.amount] });
+  }
+
+  // Per-cohort totals
+  const marks = checkpoints(horizonDays);
+  const cohorts = new Map();
+
+  for (const client of clients.values()) {
+    const { cohort, start, end } = cohortOf(client.day, groupBy);
+    if (!cohorts.has(cohort)) {
+      cohorts.set(cohort, {
+        cohort,
+        start,
+        end,
+        clients: 0,
+        offerings: new Map(),
+        revenue: 0,
+        cumulative: marks.map((days) => ({ days, revenue: 0 })),
+        complete: true,
+      });
+    }
+    const entry = cohorts.get(cohort);
+
+    entry.clients++;
+    entry.offerings.set(client.offering, (entry.offerings.get(client.offering) || 0) + 1);
+    for (const { day, amount } of client.sales) {
+      entry.revenue += amount;
+      const age = Math.round((parseDay(day) - parseDay(client.day)) / DAY_MS);
+      for (const mark of entry.cumulative) {
+        if (age < mark.days) mark.revenue += amount;
+      }
+    }
+    if (addDays(client.day, horizonDays - 1) > salesEnd) entry.complete = false;
+  }
+
+  const rows = [...cohorts.values()]
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map((entry) => ({
+      ...entry,
+      offerings: [...entry.offerings]
+        .map(([offering, count]) => ({ offering, clients: count }))
+        .sort((a, b) => b.clients - a.clients || a.offering.localeCompare(b.offering)),
+      revenue: roundMoney(entry.revenue),
+      revenuePerClient: roundMoney(entry.revenue / entry.clients),
+      cumulative: entry.cumulative.map((m) => ({ ...m, revenue: roundMoney(m.revenue) })),
+    }));
+
+  const totalClients = rows.reduce((sum, c) => sum + c.clients, 0);
+  const totalRevenue = rows.reduce((sum, c) => sum + c.revenue, 0);
+
+  return {
+    matchedBy: byId ? "clientId" : "client",
+    cohorts: rows,
+    totals: {
+      clients: totalClients,
+      revenue: roundMoney(totalRevenue),
+      revenuePerClient: totalClients ? roundMoney(totalRevenue / totalClients) : 0,
+    },
+  };
+}
+
+// One CSV row per cohort
+export function cohortsToCsv(result) {
+  const marks = result.cohorts[0]?.cumulative.map((m) => m.days) || [];
+  const header = [
+    "Cohort",
+    "Start",
+    "End",
+    "Clients",
+    "Revenue",
+    "Revenue Per Client",
+    ...marks.map((days) => `Revenue Day ${days}`),
+    "Offerings",
+    "Complete",
+  ];
+  const rows = result.cohorts.map((c) => [
+    c.cohort,
+    c.start,
+    c.end,
+    String(c.clients),
+    String(c.revenue),
+    String(c.revenuePerClient),
+    ...c.cumulative.map((m) => String(m.revenue)),
+    c.offerings.map((o) => `${o.offering}: ${o.clients}`).join("; "),
+    c.complete ? "yes" : "no",
+  ]);
+  return stringifyCsv([header, ...rows]);
+}
+
+// ----------------------------------------
+// Exports + join
+// ----------------------------------------
+async function exportParsed(report, { refresh, ...opts }, businesses, creds) {
+  const filters = opts.filters || {};
+  const download = await cachedExport(
+    report,
+    {
+      ...opts,
+      filters,
+      archive: !isFiltered(report, filters) && shouldIngest(report.key),
+    },
+    businesses,
+    creds,
+    { refresh }
+  );
+  return parseExport(download);
+}
+
+// First purchases for start..end, then sales from start until the horizon
+// after `end` (never past today)
+export async function runCohortRevenue(
+  { businesses, start, end, horizonDays, groupBy, runId, signal, refresh },
+  creds
+) {
+  const today = resolveRange("today").end;
+  const horizonEnd = addDays(end, horizonDays - 1);
+  const salesEnd = horizonEnd < today ? horizonEnd : today;
+
+  const firstPurchases = await exportParsed(
+    getReport("first-purchase"),
+    { start, end, filters: { groupBy }, runId, signal, refresh },
+    businesses,
+    creds
+  );
+
+  let sales = null;
+  try {
+    sales = await exportParsed(
+      getReport("sales"),
+      { start, end: salesEnd, runId, signal, refresh },
+      businesses,
+      creds
+    );
+  } catch (err) {
+    // New clients without any sales yet still make a cohort
+    if (err.code !== "no_data") throw err;
+  }
+
+  return {
+    acquisition: { start, end },
+    sales: { start, end: salesEnd },
+    ...joinCohorts({ firstPurchases, sales, groupBy, horizonDays, salesEnd }),
+  };
+}
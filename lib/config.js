@@ -0,0 +1,16 @@
+// lib/config.js
+// Settings shared across modules
+
+import path from "node:path";
+
+// Root for everything the service persists (sessions, jobs, ...)
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || "./data");
+
+// Walla reports dates in the studio's local time
+export const WALLA_TIMEZONE = "America/New_York";
+
+// Walla's management portal; point WALLA_BASE_URL at a stand-in (such as the
+// mock portal in test/) to run the scraper offline
+export const WALLA_BASE_URL = (
+  process.env.WALLA_BASE_URL || "https://manage.hellowalla.com"
+).replace(/\/+$/, "");
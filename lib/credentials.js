@@ -0,0 +1,128 @@
+// lib/credentials.js
+// Encrypted store of named Walla accounts, so requests reference an
+// account by name (credentials=<name>) instead of carrying its password.
+// Kept in $DATA_DIR/credentials.json, AES-256-GCM with a key from
+// CREDENTIALS_MASTER_KEY; without it the store is disabled.
+//
+// Entries are written with PUT /credentials/:name and never read back
+// over HTTP. A business's `credentials` reference also resolves here when
+// its WALLA_USER_<REF> / WALLA_PASS_<REF> env vars are not set.
+
+import fs from "node:fs";
+import path from "node:path";
+import { DATA_DIR } from "./config.js";
+import { encryptJson, decryptJson } from "./crypto.js";
+import { writeFileAtomic } from "./fs-store.js";
+import { codedError } from "./errors.js";
+
+const STORE_FILE = path.join(DATA_DIR, "credentials.json");
+
+export const CREDENTIAL_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+let entries = null;
+let saving = Promise.resolve();
+
+function masterKey() {
+  return process.env.CREDENTIALS_MASTER_KEY || "";
+}
+
+export function credentialStoreEnabled() {
+  return Boolean(masterKey());
+}
+
+// Names are case-insensitive: "PEARL" finds the entry saved as "pearl"
+function normalizeName(name) {
+  return String(name).toLowerCase();
+}
+
+function loadEntries() {
+  if (entries) return entries;
+  if (!fs.existsSync(STORE_FILE)) return (entries = {});
+
+  try {
+    const envelope = JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
+    entries = decryptJson(envelope, masterKey()).entries;
+  } catch (err) {
+    throw new Error(
+      `Could not read ${STORE_FILE} (wrong CREDENTIALS_MASTER_KEY?): ${err.message}`
+    );
+  }
+  return entries;
+}
+
+function requireStore() {
+  if (!credentialStoreEnabled()) {
+    throw codedError(
+      "credential_store_disabled",
+      "Set CREDENTIALS_MASTER_KEY to use stored credentials"
+    );
+  }
+  return loadEntries();
+}
+
+function persist() {
+  const envelope = encryptJson({ entries }, masterKey());
+  saving = saving
+    .catch(() => {})
+    .then(() => writeFileAtomic(STORE_FILE, JSON.stringify(envelope), { mode: 0o600 }));
+  return saving;
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+// { username, password, totpSecret, account } or null (also when the store
+// is off); `account` is the entry's name
+export function getStoredCredentials(name) {
+  if (!credentialStoreEnabled() || !name) return null;
+  const key = normalizeName(name);
+  const entry = loadEntries()[key];
+  return entry
+    ? {
+        username: entry.username,
+        password: entry.password,
+        totpSecret: entry.totpSecret || null,
+        account: key,
+      }
+    : null;
+}
+
+// Creates or replaces an entry; resolves to { name, created, updatedAt }
+export async function putStoredCredentials(name, { username, password, totpSecret }) {
+  const all = requireStore();
+  const key = normalizeName(name);
+  const created = !all[key];
+  const updatedAt = new Date().toISOString();
+
+  all[key] = {
+    username: String(username),
+    password: String(password),
+    totpSecret: totpSecret ? String(totpSecret) : null,
+    updatedAt,
+  };
+  await persist();
+
+  console.log(`[CREDENTIALS] ${created ? "Stored" : "Replaced"} '${key}'`);
+  return { name: key, created, updatedAt };
+}
+
+export async function deleteStoredCredentials(name) {
+  const all = requireStore();
+  const key = normalizeName(name);
+  if (!all[key]) return false;
+
+  delete all[key];
+  await persist();
+  console.log(`[CREDENTIALS] Deleted '${key}'`);
+  return true;
+}
+
+// Names and timestamps only – secrets never leave the store
+export function listStoredCredentials() {
+  const all = requireStore();
+  return Object.entries(all).map(([name, entry]) => ({
+    name,
+    updatedAt: entry.updatedAt,
+    totp: Boolean(entry.totpSecret),
+  }));
+}
@@ -0,0 +1,50 @@
+// lib/crypto.js
+// AES-256-GCM helpers for data encrypted at rest with a secret from env
+
+import crypto from "node:crypto";
+
+// Any-length secret -> 32-byte key
+function deriveKey(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest();
+}
+
+export function encryptJson(value, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(secret), iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    v: 1,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+export function decryptJson(envelope, secret) {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(secret),
+    Buffer.from(envelope.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+
+  const text = Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+
+  return JSON.parse(text);
+}
+
+// Stable, non-reversible file-name-safe id for an account name / email
+export function accountId(name) {
+  return crypto
+    .createHash("sha256")
+    .update(String(name).toLowerCase())
+    .digest("hex")
+    .slice(0, 24);
+}
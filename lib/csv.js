@@ -0,0 +1,63 @@
+// lib/csv.js
+// Minimal RFC 4180 CSV reader/writer (quoted fields, embedded commas/newlines)
+
+export function parseCsv(text) {
+  // Strip UTF-8 BOM that Excel-style exports like to add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop fully blank lines (trailing newline, spacer rows)
+  return records.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+function escapeField(value) {
+  if (value === null || value === undefined) return "";
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function stringifyCsv(records) {
+  return records.map((r) => r.map(escapeField).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,108 @@
+// lib/date-ranges.js
+// Relative date ranges ("yesterday", "last-month", ...) resolved against
+// the calendar day in the Walla timezone
+
+import { WALLA_TIMEZONE } from "./config.js";
+
+export const RANGE_PRESETS = [
+  "today",
+  "yesterday",
+  "last-7-days",
+  "last-30-days",
+  "this-week",
+  "last-week",
+  "month-to-date",
+  "last-month",
+  "year-to-date",
+  "last-year",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day (UTC midnight Date) of `instant` as seen in the Walla timezone
+function wallaDay(instant) {
+  const ymd = new Intl.DateTimeFormat("en-CA", {
+    timeZone: WALLA_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(instant);
+  return new Date(`${ymd}T00:00:00Z`);
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+// Weeks start on Monday
+function startOfWeek(date) {
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+// A real calendar day written as YYYY-MM-DD
+export function isDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && formatDay(date) === value;
+}
+
+export function isRangePreset(name) {
+  return RANGE_PRESETS.includes(name) || /^last-\d{1,4}-days$/.test(name);
+}
+
+// { start, end } (YYYY-MM-DD, inclusive) for a preset, relative to `now`
+export function resolveRange(name, now = new Date()) {
+  const today = wallaDay(now);
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+
+  const lastDays = /^last-(\d{1,4})-days$/.exec(name);
+  if (lastDays) {
+    const days = Math.max(1, Number(lastDays[1]));
+    return {
+      start: formatDay(addDays(today, -days)),
+      end: formatDay(addDays(today, -1)),
+    };
+  }
+
+  switch (name) {
+    case "today":
+      return { start: formatDay(today), end: formatDay(today) };
+    case "yesterday": {
+      const day = formatDay(addDays(today, -1));
+      return { start: day, end: day };
+    }
+    case "this-week":
+      return { start: formatDay(startOfWeek(today)), end: formatDay(today) };
+    case "last-week": {
+      const monday = addDays(startOfWeek(today), -7);
+      return { start: formatDay(monday), end: formatDay(addDays(monday, 6)) };
+    }
+    case "month-to-date":
+      return {
+        start: formatDay(new Date(Date.UTC(year, month, 1))),
+        end: formatDay(today),
+      };
+    case "last-month":
+      return {
+        start: formatDay(new Date(Date.UTC(year, month - 1, 1))),
+        end: formatDay(new Date(Date.UTC(year, month, 0))),
+      };
+    case "year-to-date":
+      return {
+        start: formatDay(new Date(Date.UTC(year, 0, 1))),
+        end: formatDay(today),
+      };
+    case "last-year":
+      return {
+        start: formatDay(new Date(Date.UTC(year - 1, 0, 1))),
+        end: formatDay(new Date(Date.UTC(year - 1, 11, 31))),
+      };
+    default:
+      throw new Error(`Unknown date range preset '${name}'`);
+  }
+}
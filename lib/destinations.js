@@ -0,0 +1,251 @@
+// lib/destinations.js
+// Named places exports are written to, besides the HTTP response and the
+// webhook. Configured as JSON, from DESTINATIONS (inline) or
+// DESTINATIONS_FILE (default ./destinations.json when present):
+//
+//   {
+//     "nightly-dir": {
+//       "type": "directory",
+//       "path": "/mnt/exports",
+//       "template": "{business}/{report}/{start}_{end}.{ext}"
+//     },
+//     "archive-s3": {
+//       "type": "s3",
+//       "endpoint": "http://minio:9000",  // any S3-compatible endpoint
+//       "region": "us-east-1",
+//       "bucket": "walla-exports",
+//       "prefix": "exports/{report}/",
+//       "template": "{business}/{start}_{end}.{ext}",
+//       "pathStyle": true,                // false for bucket.endpoint URLs
+//       "credentials": "ARCHIVE"          // -> S3_ACCESS_KEY_ID_ARCHIVE /
+//                                         //    S3_SECRET_ACCESS_KEY_ARCHIVE
+//     }
+//   }
+//
+// Template placeholders: {business} {report} {start} {end} {ext} {runId}
+// {date} (today, UTC). Without a reference S3 credentials come from
+// S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { writeFileAtomic } from "./fs-store.js";
+import { putObject } from "./s3.js";
+
+export const DESTINATION_TYPES = ["directory", "s3"];
+
+const PLACEHOLDERS = ["business", "report", "start", "end", "ext", "runId", "date"];
+const PLACEHOLDER_RE = /\{([A-Za-z]+)\}/g;
+
+const DEFAULT_TEMPLATES = {
+  // Same names as schedules wrote before destinations existed
+  directory: "{report}_{business}_{start}_{end}.{ext}",
+  s3: "{business}/{report}/{start}_{end}.{ext}",
+};
+
+let destinations = null;
+
+// ----------------------------------------
+// Config
+// ----------------------------------------
+function readConfig() {
+  if (process.env.DESTINATIONS) return JSON.parse(process.env.DESTINATIONS);
+
+  const file = path.resolve(process.env.DESTINATIONS_FILE || "./destinations.json");
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (process.env.DESTINATIONS_FILE) {
+    throw new Error(`DESTINATIONS_FILE not found: ${file}`);
+  }
+  return {};
+}
+
+function checkTemplate(where, template) {
+  for (const [, name] of String(template).matchAll(PLACEHOLDER_RE)) {
+    if (!PLACEHOLDERS.includes(name)) {
+      throw new Error(
+        `${where}: unknown placeholder {${name}} (use ${PLACEHOLDERS.map((p) => `{${p}}`).join(" ")})`
+      );
+    }
+  }
+  return String(template);
+}
+
+// Normalized destination; throws on a bad entry. Also used for the inline
+// destinations of schedules.
+export function validateDestination(name, entry) {
+  const where = `Destination '${name}'`;
+  if (!entry || !DESTINATION_TYPES.includes(entry.type)) {
+    throw new Error(`${where}: type must be one of ${DESTINATION_TYPES.join(", ")}`);
+  }
+
+  const template = checkTemplate(where, entry.template || DEFAULT_TEMPLATES[entry.type]);
+
+  if (entry.type === "directory") {
+    if (!entry.path) throw new Error(`${where}: directory destination needs 'path'`);
+    return { name, type: "directory", path: path.resolve(String(entry.path)), template };
+  }
+
+  for (const field of ["endpoint", "bucket"]) {
+    if (!entry[field]) throw new Error(`${where}: s3 destination needs '${field}'`);
+  }
+  try {
+    new URL(entry.endpoint);
+  } catch {
+    throw new Error(`${where}: 'endpoint' must be a URL`);
+  }
+  return {
+    name,
+    type: "s3",
+    endpoint: String(entry.endpoint),
+    region: String(entry.region || "us-east-1"),
+    bucket: String(entry.bucket),
+    prefix: checkTemplate(where, entry.prefix || ""),
+    template,
+    pathStyle: entry.pathStyle !== false,
+    credentials: entry.credentials ? String(entry.credentials) : null,
+  };
+}
+
+function loadDestinations() {
+  if (destinations) return destinations;
+
+  destinations = {};
+  for (const [name, entry] of Object.entries(readConfig())) {
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(`Destination '${name}': name must be letters, digits, '-' or '_'`);
+    }
+    destinations[name] = validateDestination(name, entry);
+  }
+
+  const names = Object.keys(destinations);
+  if (names.length) console.log(`[DEST] Configured destinations: ${names.join(", ")}`);
+  return destinations;
+}
+
+// ----------------------------------------
+// Writing
+// ----------------------------------------
+// Placeholder values are reduced to safe path segments
+function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER_RE, (_m, name) =>
+    String(values[name] ?? "").replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^\.+/, "")
+  );
+}
+
+function templateValues(file, meta) {
+  return {
+    ...meta,
+    ext: (path.extname(file.fileName) || ".bin").slice(1),
+    date: new Date().toISOString().slice(0, 10),
+  };
+}
+
+function s3Credentials(dest) {
+  const ref = dest.credentials
+    ? dest.credentials.toUpperCase().replace(/[^A-Z0-9]+/g, "_")
+    : null;
+  return {
+    accessKeyId:
+      (ref && process.env[`S3_ACCESS_KEY_ID_${ref}`]) || process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey:
+      (ref && process.env[`S3_SECRET_ACCESS_KEY_${ref}`]) ||
+      process.env.S3_SECRET_ACCESS_KEY,
+  };
+}
+
+async function writeDirectory(dest, file, values) {
+  const key = renderTemplate(dest.template, values);
+  const target = path.resolve(dest.path, key);
+  if (!target.startsWith(dest.path + path.sep)) {
+    throw new Error(`Template resolves outside ${dest.path}: ${key}`);
+  }
+
+  await writeFileAtomic(target, file.buffer);
+  return {
+    key,
+    path: target,
+    sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+  };
+}
+
+async function writeS3(dest, file, values) {
+  const { accessKeyId, secretAccessKey } = s3Credentials(dest);
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error("No S3 credentials (S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY)");
+  }
+
+  const key =
+    renderTemplate(dest.prefix, values) + renderTemplate(dest.template, values);
+  const stored = await putObject({
+    endpoint: dest.endpoint,
+    region: dest.region,
+    bucket: dest.bucket,
+    key,
+    body: file.buffer,
+    contentType: file.mimeType,
+    accessKeyId,
+    secretAccessKey,
+    pathStyle: dest.pathStyle,
+  });
+  return { key, bucket: dest.bucket, ...stored };
+}
+
+// Writes `file` to one destination. Never throws: failures are reported as
+// { ok: false, error } like webhook results.
+export async function writeToDestination(dest, file, meta) {
+  const base = { destination: dest.name, type: dest.type };
+  try {
+    const write = dest.type === "s3" ? writeS3 : writeDirectory;
+    const written = await write(dest, file, templateValues(file, meta));
+    console.log(`[DEST] ${dest.name}: wrote ${written.key} (${file.buffer.length} bytes)`);
+    return { ...base, ok: true, ...written, size: file.buffer.length };
+  } catch (err) {
+    console.error(`[DEST] ${dest.name}: write failed:`, err);
+    return { ...base, ok: false, error: String(err.message || err) };
+  }
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+export function getDestination(name) {
+  const all = loadDestinations();
+  return Object.prototype.hasOwnProperty.call(all, name) ? all[name] : null;
+}
+
+// "a,b" (or an array of names) -> [names]; { error } for unknown names
+export function resolveDestinationNames(value) {
+  if (value === undefined || value === null || value === "") return { names: [] };
+
+  const names = (Array.isArray(value) ? value : String(value).split(","))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+  const unknown = names.filter((name) => !getDestination(name));
+  if (unknown.length) {
+    const known = Object.keys(loadDestinations());
+    return {
+      error:
+        `Unknown destination(s): ${unknown.join(", ")}. ` +
+        `Configured: ${known.join(", ") || "none"}.`,
+    };
+  }
+  return { names: [...new Set(names)] };
+}
+
+// Writes `file` to each named destination, one after another.
+// meta: { business, report, start, end, runId }
+export async function writeToDestinations(names, file, meta) {
+  const results = [];
+  for (const name of names || []) {
+    results.push(await writeToDestination(getDestination(name), file, meta));
+  }
+  return results;
+}
+
+// Configured destinations without credential references
+export function listDestinations() {
+  return Object.values(loadDestinations()).map(
+    ({ credentials: _credentials, ...rest }) => rest
+  );
+}
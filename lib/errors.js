@@ -0,0 +1,107 @@
+// lib/errors.js
+// Errors carrying a machine-readable code for the route layer, and the
+// shared classification of those codes (HTTP status + whether a retry can
+// help). The table is documented in the README under "Errors".
+
+export function codedError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+export const ERROR_CODES = {
+  // Request problems – fix the request, do not retry
+  invalid_params: { status: 400, retryable: false },
+  missing_params: { status: 400, retryable: false },
+  missing_credentials: { status: 400, retryable: false },
+  unknown_credentials: { status: 404, retryable: false },
+  credential_store_disabled: { status: 400, retryable: false },
+  unknown_report: { status: 404, retryable: false },
+  unknown_business: { status: 404, retryable: false },
+  no_pending_challenge: { status: 404, retryable: false },
+  idempotency_key_reused: { status: 422, retryable: false },
+
+  // Unknown ids in the URL
+  job_not_found: { status: 404, retryable: false },
+  run_not_found: { status: 404, retryable: false },
+  artifact_not_found: { status: 404, retryable: false },
+  schedule_not_found: { status: 404, retryable: false },
+  delivery_not_found: { status: 404, retryable: false },
+
+  // Not yet – ask again once it is done
+  job_not_ready: { status: 409, retryable: true },
+  schedule_running: { status: 409, retryable: true },
+
+  // API key problems
+  unauthorized: { status: 401, retryable: false },
+  forbidden: { status: 403, retryable: false },
+  rate_limited: { status: 429, retryable: true },
+
+  // Walla account problems
+  login_failed: { status: 401, retryable: false },
+  mfa_required: { status: 401, retryable: false },
+  verification_failed: { status: 401, retryable: false },
+  session_expired: { status: 401, retryable: true },
+
+  // An empty report, not a failure
+  no_data: { status: 200, retryable: false },
+
+  // Walla's UI no longer matches the scraper – alert, retrying will not help
+  selector_not_found: { status: 502, retryable: false },
+  unexpected_columns: { status: 502, retryable: false },
+
+  // Transient
+  navigation_timeout: { status: 504, retryable: true },
+  download_timeout: { status: 504, retryable: true },
+  browser_crash: { status: 503, retryable: true },
+  queue_full: { status: 429, retryable: true },
+  queue_timeout: { status: 503, retryable: true },
+  verification_in_progress: { status: 409, retryable: true },
+  chunk_failed: { status: 502, retryable: true },
+  export_failed: { status: 500, retryable: true },
+
+  // Stopped before it finished: the caller went away (nginx's 499), its
+  // timeout= passed, or the service is shutting down
+  cancelled: { status: 499, retryable: true },
+  export_timeout: { status: 504, retryable: true },
+  shutting_down: { status: 503, retryable: true },
+
+  // The service's own storage (data directory, archive) failed
+  archive_query_failed: { status: 500, retryable: true },
+  job_create_failed: { status: 500, retryable: true },
+  run_store_failed: { status: 500, retryable: true },
+  webhook_store_failed: { status: 500, retryable: true },
+  session_delete_failed: { status: 500, retryable: true },
+
+  // A dead letter's redelivery failed again (kept for the next try)
+  webhook_failed: { status: 502, retryable: true },
+};
+
+const BROWSER_CLOSED_RE =
+  /target (page, context or browser )?(has been )?closed|browser has been closed|browser has disconnected|crashed/i;
+const NAVIGATION_RE = /page\.goto|waitForURL|waitForNavigation|waitForLoadState/;
+
+// Code for any error: its own when known, otherwise inferred from the
+// Playwright error (closed browser, navigation vs element timeouts)
+export function errorCode(err) {
+  if (err && ERROR_CODES[err.code]) return err.code;
+
+  const message = String(err?.message ?? err);
+  if (BROWSER_CLOSED_RE.test(message)) return "browser_crash";
+  if (err?.name === "TimeoutError") {
+    return NAVIGATION_RE.test(message) ? "navigation_timeout" : "selector_not_found";
+  }
+  return "export_failed";
+}
+
+export function classifyError(err) {
+  const code = errorCode(err);
+  return { code, ...ERROR_CODES[code] };
+}
+
+// Error object for job / schedule / per-business records
+export function errorSummary(err) {
+  const { code, retryable } = classifyError(err);
+  return { code, retryable, details: String(err) };
+}
@@ -0,0 +1,46 @@
+// lib/export-runner.js
+// One report export as a run (GET /runs/:id): the run record, the export
+// through the result cache, and the run's outcome. Shared by the export
+// routes and the walla-export CLI, which add only their own input and
+// output handling.
+
+import { cachedExport } from "./result-cache.js";
+import { startRun, finishRun, failRun } from "./runs.js";
+
+// params: { businesses, start, end, chunk, extract, filters, archive,
+// refresh } as validated by checkExportParams, plus the scraper's signal,
+// onDownload, waitForCode and onWaitingForCode. onStart(run) is called
+// once the run exists.
+//
+// Resolves to { run, download }; a failure is recorded on the run and
+// rethrown.
+export async function exportAsRun(
+  report,
+  { businesses, refresh, ...params },
+  creds,
+  { kind = "export", onStart } = {}
+) {
+  const run = await startRun({
+    kind,
+    report: report.key,
+    business: businesses.length > 1 ? "all" : businesses[0].key,
+    start: params.start,
+    end: params.end,
+  });
+  onStart?.(run);
+
+  try {
+    const download = await cachedExport(
+      report,
+      { ...params, runId: run.id },
+      businesses,
+      creds,
+      { refresh }
+    );
+    await finishRun(run);
+    return { run, download };
+  } catch (err) {
+    if (run.status === "running") await failRun(run, err);
+    throw err;
+  }
+}
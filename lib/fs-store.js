@@ -0,0 +1,22 @@
+// lib/fs-store.js
+// Small helpers for the JSON-on-disk stores under DATA_DIR
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Write via temp file + rename so a crash never leaves a half-written file
+export async function writeFileAtomic(file, data, opts = {}) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, data, opts);
+  await fs.rename(tmp, file);
+}
+
+export async function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
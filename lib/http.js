@@ -0,0 +1,367 @@
+// lib/http.js
+// Request / response helpers shared by the route modules
+
+import { getReport, validateFilters, isFiltered } from "./reports.js";
+import { CHUNK_UNITS } from "./chunking.js";
+import { EXTRACT_MODES } from "./network-capture.js";
+import { resolveBusinesses, businessCredentials } from "./businesses.js";
+import { WEBHOOK_MODES } from "./webhook.js";
+import { FORMATS, FILE_MIME_TYPES } from "./parse.js";
+import { isArchivable, shouldIngest, syncStart } from "./archive.js";
+import { resolveRange, isDay } from "./date-ranges.js";
+import { resolveDestinationNames } from "./destinations.js";
+import { getStoredCredentials, credentialStoreEnabled } from "./credentials.js";
+import { ERROR_CODES, classifyError } from "./errors.js";
+import { checkKeyScope, onlyBusiness } from "./api-keys.js";
+
+// Query params that would put a secret into URLs, logs and proxy logs
+const QUERY_SECRETS = ["user", "pass", "key"];
+
+// Credentials supplied with the request: the stored account named by
+// `credentials` (body or query), else user / pass from the body or the
+// X-Walla-User / X-Walla-Pass headers. Never from the query string.
+export function requestCredentials(req) {
+  const body = req.body || {};
+  const name = body.credentials ?? req.query.credentials;
+  if (name) return getStoredCredentials(String(name)) || {};
+
+  return {
+    username: body.user ?? req.get("x-walla-user"),
+    password: body.pass ?? req.get("x-walla-pass"),
+  };
+}
+
+// Credentials for one business: its env reference, WALLA_USER / WALLA_PASS,
+// then the request
+export function resolveCredentials(req, business) {
+  return businessCredentials(business, requestCredentials(req));
+}
+
+// { error: { status, body } } for a request that fails validation
+export function paramError(code, details) {
+  const { status, retryable } = ERROR_CODES[code];
+  return {
+    error: { status, body: { ok: false, error: code, retryable, details } },
+  };
+}
+
+// Error response for anything thrown while exporting: status and retryable
+// flag from the shared classification, Retry-After for queue errors
+export function sendError(res, err, extra = {}) {
+  const { code, status, retryable } = classifyError(err);
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  return res.status(status).json({
+    ok: false,
+    error: code,
+    retryable,
+    details: err.message || String(err),
+    ...extra,
+  });
+}
+
+export function missingCredentials(res, businessKeys = []) {
+  const which = businessKeys.length
+    ? ` (missing for: ${businessKeys.join(", ")})`
+    : "";
+  const { error } = paramError(
+    "missing_credentials",
+    "Set WALLA_USER and WALLA_PASS env vars (or the business's credentials " +
+      "reference), name a stored account with credentials=<name>, or send " +
+      `user / pass in the body or X-Walla-User / X-Walla-Pass headers.${which}`
+  );
+  return res.status(error.status).json(error.body);
+}
+
+// ----------------------------------------
+// API key scope
+// ----------------------------------------
+// `business` as requested, or the one business the request's API key is
+// limited to when none was given
+export function scopedBusiness(req, business) {
+  return business ?? onlyBusiness(req.apiKey) ?? undefined;
+}
+
+// 403 forbidden { error } unless the request's API key covers the reports
+// (keys) and businesses (objects or keys). Also notes them for the audit
+// log along with `range` ({ start, end }).
+export function checkScope(req, res, { reports = [], businesses = [], range = {} }) {
+  const businessKeys = businesses.map((b) => (typeof b === "string" ? b : b.key));
+  res.locals.audit = {
+    ...(reports.length && { report: reports.join(",") }),
+    ...(businessKeys.length && {
+      business: businessKeys.length > 1 ? businessKeys.join(",") : businessKeys[0],
+    }),
+    ...Object.fromEntries(
+      Object.entries(range).filter(([, value]) => value !== undefined)
+    ),
+  };
+
+  const err = checkKeyScope(req.apiKey, { reports, businesses: businessKeys });
+  return err ? paramError("forbidden", err.message) : {};
+}
+
+// Middleware: secrets in the query string are refused (they would already
+// be in access logs), before the API key is even checked
+export function checkRequestSecrets(req, res, next) {
+  const inQuery = QUERY_SECRETS.filter((name) => req.query[name] !== undefined);
+  if (inQuery.length) {
+    const { error } = paramError(
+      "invalid_params",
+      `Secrets are not accepted in the query string (${inQuery.join(", ")}). ` +
+        "Send the API key as X-Api-Key, Walla credentials in the body, as " +
+        "X-Walla-User / X-Walla-Pass headers, or credentials=<stored name>."
+    );
+    return res.status(error.status).json(error.body);
+  }
+  return next();
+}
+
+// Middleware: `credentials` must name a stored account. Mounted after
+// requireApiKey, so only authenticated callers learn which names exist.
+export function checkStoredCredentials(req, res, next) {
+  const name = req.body?.credentials ?? req.query.credentials;
+  if (name !== undefined) {
+    if (!credentialStoreEnabled()) {
+      const { error } = paramError(
+        "credential_store_disabled",
+        "Param 'credentials' needs the credential store (CREDENTIALS_MASTER_KEY)."
+      );
+      return res.status(error.status).json(error.body);
+    }
+    if (!getStoredCredentials(String(name))) {
+      const { error } = paramError(
+        "unknown_credentials",
+        `No stored credentials named '${name}'. Add them with PUT /credentials/:name.`
+      );
+      return res.status(error.status).json(error.body);
+    }
+  }
+  return next();
+}
+
+// Businesses whose credentials cannot be resolved for this request
+export function businessesWithoutCredentials(req, businesses) {
+  return businesses
+    .filter((business) => {
+      const { username, password } = resolveCredentials(req, business);
+      return !username || !password;
+    })
+    .map((business) => business.key);
+}
+
+function unknownBusiness(key) {
+  return paramError(
+    "unknown_business",
+    `Unknown business '${key}'. See GET /businesses.`
+  );
+}
+
+// Resolves ?business= (default business when absent, "all" for every one)
+export function checkBusinessParam(key) {
+  const businesses = resolveBusinesses(key);
+  return businesses ? { businesses } : unknownBusiness(key);
+}
+
+// Report filters found in `source` (see validateFilters) as { filters } or
+// a 400 invalid_params { error }
+export function checkFilters(report, source = {}, opts = {}) {
+  const { filters, error } = validateFilters(report, source, opts);
+  return error ? paramError("invalid_params", error) : { filters };
+}
+
+// Whether the caller wants the file itself instead of the JSON envelope:
+// Accept: text/csv or the XLSX type, ?download=1 or ?as=csv|xlsx.
+// Returns null (envelope), { type } with the file type to convert to (null
+// for the file as downloaded), or { error }.
+export function checkFileRequest(req) {
+  const { download, as } = req.query;
+  if (as !== undefined && !FILE_MIME_TYPES[as]) {
+    return paramError(
+      "invalid_params",
+      `Param 'as' must be one of: ${Object.keys(FILE_MIME_TYPES).join(", ")}.`
+    );
+  }
+  if (as) return { type: String(as) };
+
+  const accept = req.get("accept") || "";
+  const listed = Object.values(FILE_MIME_TYPES).filter((mime) =>
+    accept.includes(mime)
+  );
+  if (listed.length) {
+    const preferred = req.accepts(listed) || listed[0];
+    return {
+      type: Object.keys(FILE_MIME_TYPES).find((t) => FILE_MIME_TYPES[t] === preferred),
+    };
+  }
+
+  return isTrue(download) ? { type: null } : null;
+}
+
+// ?timeout=<seconds>: how long the export may run before it is aborted
+// (export_timeout). { timeout } (undefined when absent) or { error }.
+export function checkTimeoutParam(timeout) {
+  if (timeout === undefined || timeout === "") return { timeout: undefined };
+  if (!/^\d+$/.test(String(timeout)) || Number(timeout) < 1) {
+    return paramError(
+      "invalid_params",
+      `Param 'timeout' must be a whole number of seconds (got '${timeout}').`
+    );
+  }
+  return { timeout: Number(timeout) };
+}
+
+export function isTrue(value) {
+  return ["1", "true", "yes"].includes(String(value ?? "").toLowerCase());
+}
+
+// Validates report / business / start / end / format / chunk / extract /
+// webhookMode / destination / archive / sync / timeout / refresh and the
+// report's filters (other keys are ignored).
+// Returns { error } shaped as { status, body } or the normalized params.
+//
+// With sync=1 the range starts the day after the archive's gap-free
+// coverage (start is only needed for the very first sync) and ends yesterday
+// unless `end` is given; `upToDate` is set when there is nothing left to
+// export.
+export function checkExportParams({
+  report: reportKey,
+  business,
+  start,
+  end,
+  format,
+  chunk,
+  extract,
+  webhookMode,
+  destination,
+  archive,
+  sync,
+  timeout,
+  refresh,
+  ...rest
+}) {
+  const report = getReport(reportKey);
+  if (!report) {
+    return paramError(
+      "unknown_report",
+      `Unknown report '${reportKey}'. See GET /reports.`
+    );
+  }
+
+  const businessCheck = checkBusinessParam(business);
+  if (businessCheck.error) return businessCheck;
+
+  for (const [name, value] of Object.entries({ start, end })) {
+    if (value !== undefined && value !== "" && !isDay(value)) {
+      return paramError(
+        "invalid_params",
+        `Param '${name}' must be a date as YYYY-MM-DD (got '${value}').`
+      );
+    }
+  }
+
+  const filterCheck = checkFilters(report, rest);
+  if (filterCheck.error) return filterCheck;
+  const { filters } = filterCheck;
+
+  // The archive holds the default (unfiltered) view of each report
+  const filtered = isFiltered(report, filters);
+
+  const syncing = isTrue(sync);
+  if (syncing && filtered) {
+    return paramError(
+      "invalid_params",
+      "Param 'sync' cannot be combined with report filters."
+    );
+  }
+
+  if (syncing) {
+    if (!isArchivable(report.key)) {
+      return paramError(
+        "invalid_params",
+        `Report '${report.key}' is not archived, 'sync' is not supported.`
+      );
+    }
+
+    const keys = businessCheck.businesses.map((b) => b.key);
+    start = syncStart(report.key, keys) || start;
+    end = end || resolveRange("yesterday").end;
+
+    if (!start) {
+      return paramError(
+        "missing_params",
+        "Nothing archived yet for this report / business: pass 'start' (YYYY-MM-DD) for the first sync."
+      );
+    }
+  }
+
+  if (!start || !end) {
+    return paramError(
+      "missing_params",
+      "Params 'start' and 'end' are required (YYYY-MM-DD)."
+    );
+  }
+
+  if (!syncing && String(start) > String(end)) {
+    return paramError(
+      "invalid_params",
+      `Param 'start' (${start}) is after 'end' (${end}).`
+    );
+  }
+
+  const normalizedFormat = String(format || "raw").toLowerCase();
+  if (!FORMATS.includes(normalizedFormat)) {
+    return paramError(
+      "invalid_params",
+      `Param 'format' must be one of: ${FORMATS.join(", ")}.`
+    );
+  }
+
+  if (chunk !== undefined && !CHUNK_UNITS.includes(String(chunk))) {
+    return paramError(
+      "invalid_params",
+      `Param 'chunk' must be one of: ${CHUNK_UNITS.join(", ")}.`
+    );
+  }
+
+  if (extract !== undefined && !EXTRACT_MODES.includes(String(extract))) {
+    return paramError(
+      "invalid_params",
+      `Param 'extract' must be one of: ${EXTRACT_MODES.join(", ")}.`
+    );
+  }
+
+  const normalizedMode = String(webhookMode || "json").toLowerCase();
+  if (!WEBHOOK_MODES.includes(normalizedMode)) {
+    return paramError(
+      "invalid_params",
+      `Param 'webhookMode' must be one of: ${WEBHOOK_MODES.join(", ")}.`
+    );
+  }
+
+  const destinationCheck = resolveDestinationNames(destination);
+  if (destinationCheck.error) {
+    return paramError("invalid_params", destinationCheck.error);
+  }
+
+  const timeoutCheck = checkTimeoutParam(timeout);
+  if (timeoutCheck.error) return timeoutCheck;
+
+  return {
+    report,
+    businesses: businessCheck.businesses,
+    business: business ? String(business) : undefined,
+    start: String(start),
+    end: String(end),
+    format: normalizedFormat,
+    chunk: chunk === undefined ? undefined : String(chunk),
+    extract: extract === undefined ? undefined : String(extract),
+    webhookMode: normalizedMode,
+    destinations: destinationCheck.names,
+    filters,
+    archive: syncing || (!filtered && shouldIngest(report.key, archive)),
+    sync: syncing,
+    upToDate: syncing && String(start) > String(end),
+    timeout: timeoutCheck.timeout,
+    refresh: isTrue(refresh),
+  };
+}
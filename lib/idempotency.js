@@ -0,0 +1,149 @@
+// lib/idempotency.js
+// Idempotency-Key for POST requests: a retried POST with the same key (from
+// the same API key) gets the original response replayed, with
+// Idempotent-Replayed: true, instead of starting a second job / run. A
+// retry that arrives while the first request is still being handled waits
+// for it. Only successful JSON responses are kept, so a failed request can
+// be retried with its key; the same key with a different body is a 422
+// idempotency_key_reused. Kept under $DATA_DIR/idempotency.
+//
+//   IDEMPOTENCY_TTL_HOURS – how long a key is remembered (24)
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DATA_DIR } from "./config.js";
+import { writeFileAtomic, readJson } from "./fs-store.js";
+import { redactObject } from "./redact.js";
+import { paramError } from "./http.js";
+
+const KEYS_DIR = path.join(DATA_DIR, "idempotency");
+const TTL_MS = Math.max(1, Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 3600 * 1000;
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+// Requests being handled, by entry id: resolve to the stored entry or null
+const inFlight = new Map();
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function entryFile(id) {
+  return path.join(KEYS_DIR, `${id}.json`);
+}
+
+// The request the key stands for; secrets are masked so a changed
+// password does not count as a different request
+function fingerprint(req) {
+  return sha256(
+    JSON.stringify({
+      method: req.method,
+      path: req.path,
+      query: redactObject(req.query),
+      body: redactObject(req.body || {}),
+    })
+  );
+}
+
+async function readEntry(id) {
+  const entry = await readJson(entryFile(id)).catch(() => null);
+  if (!entry) return null;
+  if (Date.parse(entry.expiresAt) <= Date.now()) {
+    await fs.rm(entryFile(id), { force: true });
+    return null;
+  }
+  return entry;
+}
+
+// Drops expired keys
+async function prune() {
+  const names = await fs.readdir(KEYS_DIR).catch(() => []);
+  for (const name of names.filter((n) => n.endsWith(".json"))) {
+    await readEntry(name.slice(0, -".json".length));
+  }
+}
+
+function replay(res, entry) {
+  res.set("Idempotent-Replayed", "true");
+  if (entry.location) res.location(entry.location);
+  return res.status(entry.status).json(entry.body);
+}
+
+function reused(res) {
+  const { error } = paramError(
+    "idempotency_key_reused",
+    "This Idempotency-Key was already used for a different request."
+  );
+  return res.status(error.status).json(error.body);
+}
+
+// ----------------------------------------
+// Middleware
+// ----------------------------------------
+// Mount after authentication (keys are per API key)
+export async function idempotentPosts(req, res, next) {
+  const key = req.get("idempotency-key");
+  if (req.method !== "POST" || key === undefined) return next();
+
+  if (!KEY_RE.test(key)) {
+    const { error } = paramError(
+      "invalid_params",
+      "Idempotency-Key must be 1-255 printable ASCII characters."
+    );
+    return res.status(error.status).json(error.body);
+  }
+
+  const id = sha256(`${req.apiKey?.name ?? ""}\n${key}`);
+  const print = fingerprint(req);
+
+  const pending = inFlight.get(id);
+  if (pending) {
+    const { entry: original, fingerprint: originalPrint } = pending;
+    if (originalPrint !== print) return reused(res);
+    const entry = await original;
+    if (entry) return replay(res, entry);
+    return idempotentPosts(req, res, next);
+  }
+
+  // Registered before anything is awaited, so a concurrent retry waits
+  let settle;
+  const entry = new Promise((resolve) => (settle = resolve));
+  inFlight.set(id, { entry, fingerprint: print });
+
+  const stored = await readEntry(id);
+  if (stored) {
+    inFlight.delete(id);
+    settle(stored.fingerprint === print ? stored : null);
+    return stored.fingerprint === print ? replay(res, stored) : reused(res);
+  }
+
+  // Handle the request, keeping its response when it succeeded
+  let body;
+  const json = res.json.bind(res);
+  res.json = (value) => {
+    body = value;
+    return json(value);
+  };
+
+  res.on("close", async () => {
+    let kept = null;
+    if (body !== undefined && res.statusCode < 400 && res.writableFinished) {
+      kept = {
+        fingerprint: print,
+        status: res.statusCode,
+        location: res.getHeader("location") || null,
+        body,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + TTL_MS).toISOString(),
+      };
+      await writeFileAtomic(entryFile(id), JSON.stringify(kept)).catch((err) =>
+        console.warn("[IDEMPOTENCY] Could not store response:", err)
+      );
+      prune().catch((err) => console.warn("[IDEMPOTENCY] Could not prune:", err));
+    }
+    inFlight.delete(id);
+    settle(kept);
+  });
+
+  return next();
+}
@@ -0,0 +1,325 @@
+// lib/jobs.js
+// Asynchronous export jobs, persisted under $DATA_DIR/jobs so they survive
+// a restart (jobs that were queued or running are queued again on boot,
+// including those a shutdown aborted)
+//
+//   JOB_CONCURRENCY – jobs dispatched to the browser pool at once (1)
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DATA_DIR } from "./config.js";
+import { codedError, errorSummary } from "./errors.js";
+import { writeFileAtomic, readJson } from "./fs-store.js";
+import { getReport } from "./reports.js";
+import { resolveBusinesses } from "./businesses.js";
+import { cachedExport } from "./result-cache.js";
+import { renderOutput } from "./parse.js";
+import { sendWebhook } from "./webhook.js";
+import { writeToDestinations } from "./destinations.js";
+import { getStoredCredentials } from "./credentials.js";
+import { withLogContext } from "./log.js";
+import { timeoutSignal } from "./abort.js";
+import { isShuttingDown, trackWork } from "./shutdown.js";
+import { startRun, finishRun, failRun } from "./runs.js";
+
+const JOBS_DIR = path.join(DATA_DIR, "jobs");
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 1);
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+// Request-supplied credentials stay in memory only, never on disk
+const credentials = new Map();
+
+// ----------------------------------------
+// Persistence
+// ----------------------------------------
+function jobFile(id) {
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+// Saves of one job are chained: status updates from a running export can
+// overlap the runner's own saves, and they share the temp file
+const saving = new Map();
+
+function saveJob(job) {
+  const previous = saving.get(job.id) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(() => writeFileAtomic(jobFile(job.id), JSON.stringify(job, null, 2)));
+  saving.set(job.id, next);
+  next.finally(() => {
+    if (saving.get(job.id) === next) saving.delete(job.id);
+  }).catch(() => {});
+  return next;
+}
+
+export function jobResultPath(job) {
+  return path.join(JOBS_DIR, job.result.file);
+}
+
+// ----------------------------------------
+// Execution
+// ----------------------------------------
+// A login stopped at Walla's verification prompt: the job shows the open
+// challenge until a code is submitted (POST /session/verify)
+function waitingForCode(job, challenge) {
+  job.status = challenge ? "waiting_for_code" : "running";
+  job.challenge = challenge
+    ? { id: challenge.id, business: challenge.business, expiresAt: challenge.expiresAt }
+    : null;
+  saveJob(job).catch((err) => console.error(`[JOBS] ${job.id} not saved:`, err));
+}
+
+async function produceOutput(job, creds, runId) {
+  const report = getReport(job.report);
+  const { start, end, format, chunk, extract, filters, archive, timeout, refresh } =
+    job.params;
+
+  const businesses = resolveBusinesses(job.params.business);
+  if (!businesses) {
+    throw codedError(
+      "unknown_business",
+      `Business '${job.params.business}' is no longer configured`
+    );
+  }
+
+  const download = await cachedExport(
+    report,
+    {
+      start,
+      end,
+      chunk,
+      extract,
+      filters,
+      archive,
+      runId,
+      jobId: job.id,
+      signal: timeoutSignal(timeout),
+      waitForCode: true,
+      onWaitingForCode: (challenge) => waitingForCode(job, challenge),
+    },
+    businesses,
+    creds,
+    { refresh }
+  );
+
+  const output = await renderOutput(download, format);
+  return {
+    ...output,
+    business: businesses.length > 1 ? "all" : businesses[0].key,
+    strategy: download.strategy,
+    chunks: download.chunks,
+    businesses: download.businesses,
+    archive: download.archive,
+    cache: download.cache,
+  };
+}
+
+async function notify(job) {
+  const meta = {
+    jobId: job.id,
+    runId: job.runId,
+    report: job.report,
+    business: job.params.business,
+    start: job.params.start,
+    end: job.params.end,
+    status: job.status,
+    error: job.error,
+  };
+
+  const file =
+    job.status === "succeeded"
+      ? {
+          fileName: job.result.fileName,
+          mimeType: job.result.mimeType,
+          buffer: await fs.readFile(jobResultPath(job)),
+        }
+      : null;
+
+  job.webhookResult = await sendWebhook(job.params.webhook, {
+    meta,
+    file,
+    mode: job.params.webhookMode,
+  });
+  await saveJob(job);
+}
+
+async function runJob(job) {
+  // Env / business credentials are resolved per business at run time; the
+  // request's own credentials are only a fallback (lost on restart, unless
+  // they name a stored account)
+  const creds =
+    credentials.get(job.id) || getStoredCredentials(job.params.credentials) || {};
+
+  const run = await startRun({
+    kind: "job",
+    jobId: job.id,
+    report: job.report,
+    business: job.params.business,
+    start: job.params.start,
+    end: job.params.end,
+  });
+
+  job.status = "running";
+  job.runId = run.id;
+  job.startedAt = new Date().toISOString();
+  await saveJob(job);
+
+  try {
+    const output = await produceOutput(job, creds, run.id);
+    await finishRun(run);
+    // Under results/, so a .json result cannot overwrite the job record
+    const ext = path.extname(output.fileName) || ".bin";
+    const file = path.join("results", `${job.id}${ext}`);
+
+    await writeFileAtomic(path.join(JOBS_DIR, file), output.buffer);
+
+    job.status = "succeeded";
+    job.result = {
+      fileName: output.fileName,
+      mimeType: output.mimeType,
+      size: output.buffer.length,
+      rowCount: output.rowCount ?? null,
+      strategy: output.strategy || null,
+      chunks: output.chunks || null,
+      businesses: output.businesses || null,
+      archive: output.archive || null,
+      cachedAt: output.cache?.hit ? output.cache.cachedAt : null,
+      file,
+    };
+    job.destinationResults = await writeToDestinations(job.params.destinations, output, {
+      runId: run.id,
+      report: job.report,
+      business: output.business,
+      start: job.params.start,
+      end: job.params.end,
+    });
+  } catch (err) {
+    if (run.status === "running") await failRun(run, err);
+
+    // Pool saturated by sync requests: keep the job queued and try later
+    if (err.code === "queue_full" || err.code === "queue_timeout") {
+      console.log(`[JOBS] ${job.id} deferred (${err.code})`);
+      job.status = "queued";
+      job.startedAt = null;
+      await saveJob(job);
+      setTimeout(() => enqueue(job.id), err.retryAfter * 1000).unref();
+      return;
+    }
+
+    // Cut short by a shutdown: run it again after the restart
+    if (err.code === "shutting_down") {
+      console.log(`[JOBS] ${job.id} interrupted by shutdown, stays queued`);
+      job.status = "queued";
+      job.startedAt = null;
+      job.challenge = null;
+      await saveJob(job);
+      return;
+    }
+
+    console.error(`[JOBS] ${job.id} failed:`, err);
+    job.status = "failed";
+    job.error = {
+      ...errorSummary(err),
+      runId: run.id,
+      ...(err.chunks && { chunks: err.chunks }),
+      ...(err.businesses && { businesses: err.businesses }),
+    };
+  }
+
+  credentials.delete(job.id);
+  job.finishedAt = new Date().toISOString();
+  await saveJob(job);
+  console.log(`[JOBS] ${job.id} ${job.status}`);
+
+  if (job.params.webhook) await notify(job);
+}
+
+function pump() {
+  while (running < JOB_CONCURRENCY && pending.length && !isShuttingDown()) {
+    const job = jobs.get(pending.shift());
+    running++;
+    trackWork(() => withLogContext({ jobId: job.id }, () => runJob(job)))
+      .catch((err) => console.error(`[JOBS] ${job.id} crashed:`, err))
+      .finally(() => {
+        running--;
+        pump();
+      });
+  }
+}
+
+function enqueue(id) {
+  pending.push(id);
+  pump();
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+export async function initJobs() {
+  await fs.mkdir(JOBS_DIR, { recursive: true });
+
+  const names = (await fs.readdir(JOBS_DIR)).filter((n) => n.endsWith(".json"));
+  const loaded = [];
+  for (const name of names) {
+    const job = await readJson(path.join(JOBS_DIR, name));
+    if (job) loaded.push(job);
+  }
+
+  loaded.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const job of loaded) {
+    jobs.set(job.id, job);
+    if (["queued", "running", "waiting_for_code"].includes(job.status)) {
+      console.log(`[JOBS] Re-queueing ${job.id} after restart`);
+      job.status = "queued";
+      job.startedAt = null;
+      job.challenge = null;
+      await saveJob(job);
+      enqueue(job.id);
+    }
+  }
+
+  console.log(`[JOBS] Loaded ${loaded.length} job(s)`);
+}
+
+// apiKey: name of the API key that created the job (null without auth)
+export async function createJob({ report, params, creds, apiKey = null }) {
+  const job = {
+    id: crypto.randomUUID(),
+    apiKey,
+    report,
+    params,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    runId: null,
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    challenge: null,
+    result: null,
+    webhookResult: null,
+    destinationResults: null,
+  };
+
+  if (creds) credentials.set(job.id, creds);
+  jobs.set(job.id, job);
+  await saveJob(job);
+  enqueue(job.id);
+
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Job as returned by the API (internal file name stripped)
+export function toPublicJob(job) {
+  const { result, ...rest } = job;
+  if (!result) return { ...rest, result };
+  const { file: _file, ...publicResult } = result;
+  return { ...rest, result: publicResult };
+}
@@ -0,0 +1,120 @@
+// lib/log.js
+// Structured logs: one JSON object per line, e.g.
+//
+//   {"time":"…","level":"info","component":"EXPORT:sales:the-pearl",
+//    "msg":"Found Export button, clicking...","requestId":"…","runId":"…"}
+//
+// Lines logged while a request, job or schedule run is handled carry its
+// context (requestId, jobId, scheduleId, runId, report, business), so all
+// lines of one export can be found by its runId. The code's console.*
+// calls are routed through here (installConsole); their "[TAG]" prefix
+// becomes `component`.
+//
+//   LOG_LEVEL  – debug | info | warn | error (info)
+//   LOG_FORMAT – json | text (json); text keeps the plain console lines
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import util from "node:util";
+import { redactObject } from "./redact.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+const FORMAT = process.env.LOG_FORMAT === "text" ? "text" : "json";
+
+const context = new AsyncLocalStorage();
+const TAG_RE = /^\[([^\]]+)\]\s*/;
+
+// Written with the streams directly so the console bridge cannot loop
+const streams = {
+  debug: process.stdout,
+  info: process.stdout,
+  warn: process.stderr,
+  error: process.stderr,
+};
+
+// ----------------------------------------
+// Context
+// ----------------------------------------
+// Runs `fn` with `fields` added to the context of every line it logs
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Adds `fields` to the current context (e.g. the runId once the run exists)
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// ----------------------------------------
+// Writing
+// ----------------------------------------
+function errorFields(err) {
+  return {
+    message: err.message,
+    ...(err.code && { code: err.code }),
+    ...(err.stack && { stack: err.stack }),
+  };
+}
+
+function write(level, component, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  if (FORMAT === "text") {
+    const tag = component ? `[${component}] ` : "";
+    const error = fields.error?.stack || fields.error?.message;
+    streams[level].write(`${tag}${msg}${error ? ` ${error}` : ""}\n`);
+    return;
+  }
+
+  const { error, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...(component && { component }),
+    msg,
+    ...context.getStore(),
+    ...redactObject(rest),
+    ...(error && { error }),
+  };
+  streams[level].write(JSON.stringify(entry) + "\n");
+}
+
+// log.info("msg", { fields }) etc.; component from a "[TAG] " prefix
+function logAt(level) {
+  return (message, fields) => {
+    const text = String(message);
+    const component = TAG_RE.exec(text)?.[1] || null;
+    write(level, component, text.replace(TAG_RE, ""), fields);
+  };
+}
+
+export const log = {
+  debug: logAt("debug"),
+  info: logAt("info"),
+  warn: logAt("warn"),
+  error: logAt("error"),
+};
+
+// console.log / info / warn / error / debug -> structured lines. Error
+// arguments become the `error` field, everything else the message.
+export function installConsole() {
+  const bridge = (level) => (...args) => {
+    const error = args.find((arg) => arg instanceof Error);
+    const rest = args.filter((arg) => arg !== error);
+    const text = util.format(...rest).trimEnd();
+    const component = TAG_RE.exec(text)?.[1] || null;
+    write(
+      level,
+      component,
+      text.replace(TAG_RE, ""),
+      error ? { error: errorFields(error) } : {}
+    );
+  };
+
+  console.debug = bridge("debug");
+  console.log = bridge("info");
+  console.info = bridge("info");
+  console.warn = bridge("warn");
+  console.error = bridge("error");
+}
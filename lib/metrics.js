@@ -0,0 +1,157 @@
+// lib/metrics.js
+// Prometheus metrics, served as text by GET /metrics. A small registry of
+// counters, gauges and histograms; every metric the service exposes is
+// declared at the bottom of this file.
+
+import { poolStats } from "./browser-pool.js";
+
+const metrics = [];
+
+// Default buckets in seconds: a login takes a few, a download minutes
+const DEFAULT_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelText(names, values) {
+  if (!names.length) return "";
+  return `{${names.map((n, i) => `${n}="${escapeLabel(values[i])}"`).join(",")}}`;
+}
+
+// Label values in declaration order; missing ones are ""
+function labelValues(names, labels = {}) {
+  return names.map((name) => (labels[name] === undefined || labels[name] === null ? "" : labels[name]));
+}
+
+function register(metric) {
+  metrics.push(metric);
+  return metric;
+}
+
+// ----------------------------------------
+// Metric types
+// ----------------------------------------
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels, by = 1) {
+      const key = JSON.stringify(labelValues(labelNames, labels));
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    lines() {
+      return [...values].map(
+        ([key, value]) => `${name}${labelText(labelNames, JSON.parse(key))} ${value}`
+      );
+    },
+  });
+}
+
+// Gauges (and counters kept elsewhere) read at scrape time
+function sampled(name, help, type, read) {
+  return register({
+    name,
+    help,
+    type,
+    lines: () => [`${name} ${Number(read()) || 0}`],
+  });
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, seconds) {
+      const key = JSON.stringify(labelValues(labelNames, labels));
+      const entry = series.get(key) || {
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) entry.counts[i]++;
+      });
+      entry.sum += seconds;
+      entry.count++;
+      series.set(key, entry);
+    },
+    lines() {
+      const out = [];
+      for (const [key, entry] of series) {
+        const values = JSON.parse(key);
+        const withLe = (le) => labelText([...labelNames, "le"], [...values, le]);
+        buckets.forEach((bound, i) => out.push(`${name}_bucket${withLe(bound)} ${entry.counts[i]}`));
+        out.push(`${name}_bucket${withLe("+Inf")} ${entry.count}`);
+        out.push(`${name}_sum${labelText(labelNames, values)} ${entry.sum}`);
+        out.push(`${name}_count${labelText(labelNames, values)} ${entry.count}`);
+      }
+      return out;
+    },
+  });
+}
+
+// ----------------------------------------
+// The service's metrics
+// ----------------------------------------
+export const exportsTotal = counter(
+  "walla_exports_total",
+  "Exports per report and business by outcome (ok, no_data, error) and error code",
+  ["report", "business", "outcome", "error"]
+);
+
+export const exportDuration = histogram(
+  "walla_export_duration_seconds",
+  "Duration of one business's export, login to file",
+  ["report", "outcome"]
+);
+
+export const phaseDuration = histogram(
+  "walla_export_phase_seconds",
+  "Duration of export phases: login, navigation, capture, export_wait, download",
+  ["phase", "outcome"]
+);
+
+export const webhookDeliveries = counter(
+  "walla_webhook_deliveries_total",
+  "Webhook deliveries by outcome (ok, dead_lettered, failed)",
+  ["outcome"]
+);
+
+sampled("walla_browser_launches_total", "Chromium launches", "counter", () => poolStats().browserLaunches);
+sampled("walla_browser_crashes_total", "Chromium crashes / disconnects", "counter", () => poolStats().browserCrashes);
+sampled("walla_active_exports", "Exports holding a browser slot", "gauge", () => poolStats().activeJobs);
+sampled("walla_queue_depth", "Requests waiting for a browser slot", "gauge", () => poolStats().queueDepth);
+
+// Runs `fn` as export phase `phase` and records how long it took
+export async function timePhase(phase, fn) {
+  const startedAt = process.hrtime.bigint();
+  let outcome = "error";
+  try {
+    const result = await fn();
+    outcome = "ok";
+    return result;
+  } finally {
+    phaseDuration.observe(
+      { phase, outcome },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+  }
+}
+
+// Prometheus text exposition format
+export function renderMetrics() {
+  return (
+    metrics
+      .flatMap((metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines(),
+      ])
+      .join("\n") + "\n"
+  );
+}
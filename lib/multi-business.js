@@ -0,0 +1,185 @@
+// lib/multi-business.js
+// Runs one report for one or several businesses. With several (business=all)
+// the exports run one after another and are merged into a single CSV whose
+// first column tags each row with the business it came from.
+// With opts.archive each business's download is also ingested into the
+// local archive.
+
+import { runExport } from "./scraper.js";
+import { businessCredentials } from "./businesses.js";
+import { readRecords } from "./parse.js";
+import { stringifyCsv } from "./csv.js";
+import { codedError, errorSummary, classifyError } from "./errors.js";
+import { ingestDownload, recordEmptyIngest } from "./archive.js";
+import { combinedStrategy } from "./network-capture.js";
+import { exportsTotal, exportDuration } from "./metrics.js";
+import { withLogContext } from "./log.js";
+
+function credentialsFor(business, fallbackCreds) {
+  const creds = businessCredentials(business, fallbackCreds);
+  if (!creds.username || !creds.password) {
+    throw codedError(
+      "missing_credentials",
+      `No Walla credentials available for business '${business.key}'`
+    );
+  }
+  return creds;
+}
+
+// walla_exports_total / walla_export_duration_seconds for one business
+function countExport(report, business, startedAt, err = null) {
+  const code = err ? classifyError(err).code : null;
+  const outcome = !err ? "ok" : code === "no_data" ? "no_data" : "error";
+  exportsTotal.inc({
+    report: report.key,
+    business: business.key,
+    outcome,
+    error: outcome === "error" ? code : "",
+  });
+  exportDuration.observe({ report: report.key, outcome }, (Date.now() - startedAt) / 1000);
+}
+
+// Log lines of the export carry its report and business
+function exportBusiness(report, opts, business, fallbackCreds) {
+  return withLogContext({ report: report.key, business: business.key }, () =>
+    exportOneBusiness(report, opts, business, fallbackCreds)
+  );
+}
+
+async function exportOneBusiness(report, opts, business, fallbackCreds) {
+  const range = { start: opts.start, end: opts.end };
+  const startedAt = Date.now();
+  let download;
+
+  try {
+    download = await runExport(report, {
+      ...opts,
+      business,
+      ...credentialsFor(business, fallbackCreds),
+    });
+    countExport(report, business, startedAt);
+  } catch (err) {
+    countExport(report, business, startedAt, err);
+    if (opts.archive && err.code === "no_data") {
+      recordEmptyIngest(report.key, business.key, range);
+    }
+    throw err;
+  }
+
+  if (opts.archive) {
+    download.archive = await ingestDownload(
+      report.key,
+      business.key,
+      range,
+      download
+    );
+  }
+  return download;
+}
+
+async function mergeBusinessDownloads(report, opts, results) {
+  let header = null;
+  const rows = [];
+
+  for (const result of results) {
+    if (!result.download) continue;
+
+    const { records } = await readRecords(result.download);
+    if (!records.length) {
+      result.rows = 0;
+      continue;
+    }
+
+    const [ownHeader, ...ownRows] = records;
+    if (!header) header = ownHeader;
+
+    // Align columns by header name in case a studio's export differs
+    const index = header.map((name) => ownHeader.indexOf(name));
+    for (const row of ownRows) {
+      rows.push([result.business, ...index.map((i) => (i < 0 ? "" : row[i]))]);
+    }
+    result.rows = ownRows.length;
+  }
+
+  // Every file was empty (not even a header row)
+  if (!header) {
+    throw codedError(
+      "no_data",
+      `No data for any business between ${opts.start} and ${opts.end}`,
+      { businesses: results }
+    );
+  }
+
+  return {
+    fileName: `${report.key}_all_${opts.start}_${opts.end}.csv`,
+    mimeType: "text/csv",
+    buffer: Buffer.from(stringifyCsv([["Business", ...header], ...rows])),
+  };
+}
+
+export async function runExportForBusinesses(report, opts, businesses, fallbackCreds) {
+  if (businesses.length === 1) {
+    return exportBusiness(report, opts, businesses[0], fallbackCreds);
+  }
+
+  // Merged below, so no business's download is streamed on its own
+  const mergeOpts = { ...opts, onDownload: undefined };
+  const results = [];
+
+  for (const business of businesses) {
+    const result = { business: business.key, status: "ok", rows: null, error: null };
+    results.push(result);
+
+    try {
+      const download = await exportBusiness(
+        report,
+        mergeOpts,
+        business,
+        fallbackCreds
+      );
+      // Keep the download out of the per-business status list
+      Object.defineProperty(result, "download", { value: download });
+      result.strategy = download.strategy;
+      if (download.chunks) result.chunks = download.chunks;
+      if (download.archive) result.archive = download.archive;
+    } catch (err) {
+      // Cancelled, timed out or shutting down: the other businesses too
+      if (err.aborted) throw err;
+
+      console.error(`[EXPORT:${report.key}:${business.key}] Export failed:`, err);
+      if (err.code === "no_data") {
+        result.status = "no_data";
+        result.rows = 0;
+      } else {
+        result.status = "failed";
+        result.error = errorSummary(err);
+      }
+    }
+  }
+
+  if (!results.some((r) => r.status === "ok")) {
+    if (results.every((r) => r.status === "no_data")) {
+      throw codedError(
+        "no_data",
+        `No data for any business between ${opts.start} and ${opts.end}`
+      );
+    }
+
+    // Same cause everywhere (e.g. login_failed) keeps its code
+    const codes = new Set(
+      results.filter((r) => r.error).map((r) => r.error.code)
+    );
+    throw codedError(
+      codes.size === 1 ? [...codes][0] : "export_failed",
+      "Export failed for every business",
+      { businesses: results }
+    );
+  }
+
+  const merged = await mergeBusinessDownloads(report, opts, results);
+  return {
+    ...merged,
+    strategy: combinedStrategy(results.map((r) => r.download)),
+    businesses: results,
+  };
+}
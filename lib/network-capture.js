@@ -0,0 +1,233 @@
+// lib/network-capture.js
+// Network-interception extraction: while the report page loads, Walla's app
+// fetches the report rows as JSON from its own API. We listen for those
+// responses (report.api.urlPattern), follow their pagination and turn the
+// rows into a CSV, so the Export button is only needed as a fallback.
+//
+//   EXPORT_EXTRACT         – default strategy: auto | network | export (auto)
+//                            auto tries network capture first and falls back
+//                            to the Export download when nothing is captured
+//   EXPORT_CAPTURE_WAIT_MS – longest wait for the report's API call (15000)
+
+import { stringifyCsv } from "./csv.js";
+
+export const EXTRACT_MODES = ["auto", "network", "export"];
+
+const DEFAULT_MODE = EXTRACT_MODES.includes(process.env.EXPORT_EXTRACT)
+  ? process.env.EXPORT_EXTRACT
+  : "auto";
+const CAPTURE_WAIT_MS = Number(process.env.EXPORT_CAPTURE_WAIT_MS) || 15000;
+
+// Safety net against an API that keeps pointing at a next page: beyond
+// this many the capture is given up (the Export fallback runs instead)
+const MAX_PAGES = 200;
+
+// Where API payloads usually keep their rows ({ data: [...] }, ...)
+const ROW_KEYS = ["data", "rows", "items", "results", "records", "transactions"];
+
+// Not replayed when fetching further pages ourselves
+const SKIP_HEADERS = new Set(["cookie", "host", "content-length"]);
+
+export function resolveExtractMode(requested) {
+  return requested || DEFAULT_MODE;
+}
+
+// ----------------------------------------
+// Payload helpers
+// ----------------------------------------
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// The row array of a payload (a bare array of objects, or one under a
+// well-known key up to one level deep); null when it has none
+function findRows(json, depth = 0) {
+  if (Array.isArray(json)) return json.every(isPlainObject) ? json : null;
+  if (!isPlainObject(json) || depth > 1) return null;
+
+  for (const key of ROW_KEYS) {
+    if (!(key in json)) continue;
+    const rows = findRows(json[key], depth + 1);
+    if (rows) return rows;
+  }
+  return null;
+}
+
+// URL of the page after `url`, from a next link / page number or from the
+// total row count; null on the last page
+function nextPageUrl(json, url, collected) {
+  if (!isPlainObject(json)) return null;
+
+  const meta = { ...json.pagination, ...json.meta, ...json };
+  const next = meta.next ?? meta.nextPage ?? meta.links?.next;
+  const target = new URL(url);
+
+  if (typeof next === "string" && next) return new URL(next, url).href;
+  if (typeof next === "number") {
+    target.searchParams.set("page", String(next));
+    return target.href;
+  }
+  if (next === null || next === false) return null;
+
+  const total = Number(meta.totalCount ?? meta.total_count ?? meta.total);
+  if (!Number.isFinite(total) || collected >= total) return null;
+
+  const current = Number(target.searchParams.get("page") || meta.page || 1);
+  target.searchParams.set("page", String(current + 1));
+  return target.href;
+}
+
+function isFirstPage(url) {
+  const page = new URL(url).searchParams.get("page");
+  return !page || Number(page) <= 1;
+}
+
+// "firstPurchaseDate" / "first_purchase_date" -> "First Purchase Date", so
+// the JSON keys come out of lib/parse.js the way they went in
+function headerFromKey(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .trim()
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Captured rows as a CSV download (columns in first-seen key order)
+export function rowsToDownload(rows, fileName) {
+  const keys = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const records = rows.map((row) => keys.map((key) => cellText(row[key])));
+
+  return {
+    fileName,
+    mimeType: "text/csv",
+    buffer: Buffer.from(stringifyCsv([keys.map(headerFromKey), ...records])),
+  };
+}
+
+// ----------------------------------------
+// Capture
+// ----------------------------------------
+// Starts listening before the report is opened. collect() waits for the
+// report's API call (or the page going quiet without one) and resolves to
+// every row across all pages, or null when nothing usable was captured.
+export function startCapture(page, report, tag) {
+  const captured = [];
+  const pending = new Set();
+  let notify;
+  const firstCapture = new Promise((resolve) => (notify = resolve));
+
+  const onResponse = (response) => {
+    const request = response.request();
+    if (!["xhr", "fetch"].includes(request.resourceType())) return;
+    if (!response.ok() || !report.api.urlPattern.test(response.url())) return;
+    if (!/json/i.test(response.headers()["content-type"] || "")) return;
+
+    const task = (async () => {
+      const json = await response.json();
+      const rows = findRows(json);
+      if (!rows) return;
+
+      captured.push({
+        url: response.url(),
+        method: request.method(),
+        headers: await request.allHeaders(),
+        json,
+        rows,
+      });
+      notify();
+    })()
+      .catch((err) =>
+        console.warn(`${tag} Could not read API response ${response.url()}:`, err.message)
+      )
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  };
+
+  page.on("response", onResponse);
+
+  async function fetchPage(source, url) {
+    const headers = Object.fromEntries(
+      Object.entries(source.headers).filter(
+        ([name]) => !SKIP_HEADERS.has(name) && !name.startsWith(":")
+      )
+    );
+    const response = await page.request.get(url, { headers });
+    if (!response.ok()) {
+      throw new Error(`HTTP ${response.status()} for ${url}`);
+    }
+    return response.json();
+  }
+
+  async function collect() {
+    await Promise.race([
+      firstCapture,
+      page
+        .waitForLoadState("networkidle", { timeout: CAPTURE_WAIT_MS })
+        .catch(() => {}),
+    ]);
+    await Promise.all(pending);
+
+    if (!captured.length) return null;
+
+    // The app may have loaded later pages itself; start from the latest
+    // first page so nothing is counted twice
+    const source =
+      captured.filter((c) => isFirstPage(c.url)).at(-1) || captured.at(-1);
+    const rows = [...source.rows];
+    let { json, url } = source;
+
+    for (let pages = 1; ; pages++) {
+      const nextUrl = nextPageUrl(json, url, rows.length);
+      if (!nextUrl) break;
+
+      if (pages >= MAX_PAGES) {
+        console.warn(`${tag} Report API still has pages after ${MAX_PAGES}; not capturing`);
+        return null;
+      }
+
+      // Partial data is worse than the Export fallback
+      if (source.method !== "GET") {
+        console.warn(`${tag} Report API is paginated over ${source.method}; not capturing`);
+        return null;
+      }
+
+      try {
+        json = await fetchPage(source, nextUrl);
+      } catch (err) {
+        console.warn(`${tag} Could not fetch next API page:`, err.message);
+        return null;
+      }
+
+      const more = findRows(json);
+      if (!more) return null;
+      if (!more.length) break;
+      rows.push(...more);
+      url = nextUrl;
+    }
+
+    console.log(`${tag} Captured ${rows.length} row(s) from ${source.url}`);
+    return rows;
+  }
+
+  return {
+    collect,
+    stop() {
+      page.off("response", onResponse);
+    },
+  };
+}
+
+// Strategy of a merged result: the one all parts used, or "mixed"
+export function combinedStrategy(downloads) {
+  const strategies = new Set(
+    downloads.filter(Boolean).map((d) => d.strategy).filter(Boolean)
+  );
+  if (!strategies.size) return null;
+  return strategies.size === 1 ? [...strategies][0] : "mixed";
+}
@@ -0,0 +1,336 @@
+// lib/parse.js
+// Turns a downloaded Walla export (CSV or XLSX) into typed JSON rows
+//
+// - column names become stable camelCase keys ("Client ID" -> "clientId")
+// - dates become ISO strings (date-only or with the Walla timezone offset)
+// - currency amounts and plain numbers become numbers
+
+import ExcelJS from "exceljs";
+import { parseCsv, stringifyCsv } from "./csv.js";
+import { WALLA_TIMEZONE } from "./config.js";
+
+// Output formats offered by the export routes, jobs and schedules
+export const FORMATS = ["raw", "json", "ndjson"];
+
+// File types a download can be served / converted as
+export const FILE_MIME_TYPES = {
+  csv: "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// ----------------------------------------
+// File readers
+// ----------------------------------------
+function isXlsx({ buffer, fileName = "", mimeType = "" }) {
+  if (/\.xlsx$/i.test(fileName) || mimeType.includes("spreadsheetml")) {
+    return true;
+  }
+  // Zip magic number – XLSX is a zip container, CSV never is
+  return buffer.length > 3 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// "csv" / "xlsx" from the name / type (and the bytes when there are any)
+export function fileTypeOf({ buffer, fileName = "", mimeType = "" }) {
+  if (buffer) return isXlsx({ buffer, fileName, mimeType }) ? "xlsx" : "csv";
+  if (/\.xlsx$/i.test(fileName) || mimeType.includes("spreadsheetml")) return "xlsx";
+  if (/\.csv$/i.test(fileName) || mimeType.includes("text/csv")) return "csv";
+  return null;
+}
+
+function xlsxCellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date || typeof value === "number") return value;
+  if (typeof value === "object") {
+    if ("result" in value) return xlsxCellValue(value.result);
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join("");
+    }
+    if ("text" in value) return String(value.text);
+  }
+  return String(value);
+}
+
+async function readXlsxRecords(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      values.push(xlsxCellValue(row.getCell(col).value));
+    }
+    records.push(values);
+  });
+  return records;
+}
+
+// ----------------------------------------
+// Conversion (CSV <-> XLSX, cell text kept as is)
+// ----------------------------------------
+// XLSX dates carry the wall-clock time in their UTC fields
+function csvCellText(value) {
+  if (!(value instanceof Date)) return value;
+  const day = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+  const time = value.getUTCHours() || value.getUTCMinutes() || value.getUTCSeconds();
+  if (!time) return day;
+  return `${day} ${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`;
+}
+
+async function recordsToXlsx(records) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Report");
+  for (const record of records) sheet.addRow(record);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// The download as `type` ("csv" / "xlsx"); unchanged when it already is
+export async function convertDownload(download, type) {
+  if (!type || fileTypeOf(download) === type) return download;
+
+  const { records } = await readRecords(download);
+  const buffer =
+    type === "csv"
+      ? Buffer.from(stringifyCsv(records.map((r) => r.map(csvCellText))))
+      : await recordsToXlsx(records);
+
+  return {
+    ...download,
+    fileName: `${download.fileName.replace(/\.[^.]+$/, "")}.${type}`,
+    mimeType: FILE_MIME_TYPES[type],
+    buffer,
+  };
+}
+
+// ----------------------------------------
+// Column names
+// ----------------------------------------
+export function toCamelKey(header, index) {
+  const words = String(header)
+    .replace(/\([^)]*\)/g, " ") // "Amount ($)" -> "Amount"
+    .replace(/#/g, " number ")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+  if (!words.length) return `column${index + 1}`;
+
+  const key = words
+    .map((word, i) => {
+      const lower = word.toLowerCase();
+      return i === 0 ? lower : lower[0].toUpperCase() + lower.slice(1);
+    })
+    .join("");
+
+  return /^[0-9]/.test(key) ? `c${key}` : key;
+}
+
+function uniqueKeys(headers) {
+  const seen = new Map();
+  return headers.map((header, i) => {
+    const base = toCamelKey(header, i);
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}${count}`;
+  });
+}
+
+// ----------------------------------------
+// Value detection / conversion
+// ----------------------------------------
+const CURRENCY_RE = /^\(?\s*-?\s*\$\s*-?\s*(\d{1,3}(,\d{3})*|\d+)?(\.\d+)?\s*\)?$/;
+const NUMBER_RE = /^-?(0|[1-9]\d{0,2}(,\d{3})+|[1-9]\d*)(\.\d+)?$/;
+const US_DATE_RE =
+  /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?)?$/;
+const ISO_DATE_RE =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const pad = (n, width = 2) => String(n).padStart(width, "0");
+
+function zoneOffset(year, month, day, hour, minute) {
+  const probe = new Date(Date.UTC(year, month - 1, day, hour, minute));
+  const name = new Intl.DateTimeFormat("en-US", {
+    timeZone: WALLA_TIMEZONE,
+    timeZoneName: "longOffset",
+  })
+    .formatToParts(probe)
+    .find((part) => part.type === "timeZoneName").value;
+  return name === "GMT" ? "+00:00" : name.slice(3);
+}
+
+function isoFromParts({ year, month, day, hour, minute, second }) {
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  if (hour === undefined) return date;
+  return (
+    `${date}T${pad(hour)}:${pad(minute)}:${pad(second || 0)}` +
+    zoneOffset(year, month, day, hour, minute)
+  );
+}
+
+function dateParts(raw) {
+  if (raw instanceof Date) {
+    // XLSX dates carry the wall-clock time in their UTC fields
+    const hasTime =
+      raw.getUTCHours() || raw.getUTCMinutes() || raw.getUTCSeconds();
+    return {
+      year: raw.getUTCFullYear(),
+      month: raw.getUTCMonth() + 1,
+      day: raw.getUTCDate(),
+      ...(hasTime && {
+        hour: raw.getUTCHours(),
+        minute: raw.getUTCMinutes(),
+        second: raw.getUTCSeconds(),
+      }),
+    };
+  }
+
+  let m = US_DATE_RE.exec(raw);
+  if (m) {
+    const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    const parts = { year, month: Number(m[1]), day: Number(m[2]) };
+    if (m[4] !== undefined) {
+      let hour = Number(m[4]);
+      if (m[7]) {
+        const pm = m[7].toLowerCase() === "pm";
+        hour = (hour % 12) + (pm ? 12 : 0);
+      }
+      Object.assign(parts, {
+        hour,
+        minute: Number(m[5]),
+        second: Number(m[6] || 0),
+      });
+    }
+    return parts.month <= 12 && parts.day <= 31 ? parts : null;
+  }
+
+  m = ISO_DATE_RE.exec(raw);
+  if (m) {
+    const parts = { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+    if (m[4] !== undefined) {
+      Object.assign(parts, {
+        hour: Number(m[4]),
+        minute: Number(m[5]),
+        second: Number(m[6] || 0),
+      });
+    }
+    return parts;
+  }
+
+  return null;
+}
+
+function detectKind(raw) {
+  if (raw instanceof Date) return "date";
+  if (typeof raw === "number") return "number";
+  if (CURRENCY_RE.test(raw) && /\d/.test(raw)) return "currency";
+  if (NUMBER_RE.test(raw)) return "number";
+  if (dateParts(raw)) return "date";
+  return "string";
+}
+
+function toNumber(raw) {
+  if (typeof raw === "number") return raw;
+  const negative = /^\s*\(.*\)\s*$/.test(raw) || raw.includes("-");
+  const value = Number(raw.replace(/[^0-9.]/g, ""));
+  return negative ? -value : value;
+}
+
+function convert(raw, type) {
+  if (raw === "") return null;
+  switch (type) {
+    case "currency":
+    case "number":
+      return toNumber(raw);
+    case "date":
+      return isoFromParts(dateParts(raw));
+    default:
+      return raw instanceof Date ? raw.toISOString() : String(raw);
+  }
+}
+
+function columnType(values) {
+  const kinds = new Set(values.filter((v) => v !== "").map(detectKind));
+  if (!kinds.size) return "string";
+  if (kinds.size === 1) return [...kinds][0];
+  if ([...kinds].every((k) => k === "number" || k === "currency")) {
+    return "currency";
+  }
+  return "string";
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+// Untyped records (header row first) from a CSV or XLSX download
+export async function readRecords(file) {
+  const source = isXlsx(file) ? "xlsx" : "csv";
+  const records =
+    source === "xlsx"
+      ? await readXlsxRecords(file.buffer)
+      : parseCsv(file.buffer.toString("utf8"));
+  return { source, records };
+}
+
+export async function parseExport(file) {
+  const { source, records } = await readRecords(file);
+
+  if (!records.length) {
+    return { source, columns: [], rows: [] };
+  }
+
+  const [headerRecord, ...dataRecords] = records;
+  const headers = headerRecord.map((h) => String(h).trim());
+  const keys = uniqueKeys(headers);
+
+  const cell = (record, i) => {
+    const value = record[i] ?? "";
+    return typeof value === "string" ? value.trim() : value;
+  };
+
+  const columns = headers.map((header, i) => ({
+    key: keys[i],
+    header,
+    type: columnType(dataRecords.map((record) => cell(record, i))),
+  }));
+
+  const rows = dataRecords.map((record) => {
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column.key] = convert(cell(record, i), column.type);
+    });
+    return row;
+  });
+
+  return { source, columns, rows };
+}
+
+// Serialize parsed rows for the json / ndjson output formats
+export function renderRows(parsed, format) {
+  if (format === "ndjson") {
+    return Buffer.from(parsed.rows.map((row) => JSON.stringify(row) + "\n").join(""));
+  }
+  return Buffer.from(
+    JSON.stringify({
+      rowCount: parsed.rows.length,
+      columns: parsed.columns,
+      rows: parsed.rows,
+    })
+  );
+}
+
+// The file a caller gets for `format`: the download itself for "raw",
+// otherwise the parsed rows as a .json / .ndjson file
+export async function renderOutput(download, format) {
+  if (format === "raw") return download;
+
+  const parsed = await parseExport(download);
+  const baseName = download.fileName.replace(/\.[^.]+$/, "");
+  return {
+    fileName: `${baseName}.${format}`,
+    mimeType: format === "ndjson" ? "application/x-ndjson" : "application/json",
+    buffer: renderRows(parsed, format),
+    rowCount: parsed.rows.length,
+  };
+}
@@ -0,0 +1,54 @@
+// lib/redact.js
+// Keeps secrets out of the logs: query params and object keys that look
+// like credentials are replaced before anything is printed
+
+const SECRET_NAME_RE = /^(user|pass|key|code)$|pass(word)?|secret|token|api[-_]?key|authorization|signature/i;
+const REDACTED = "***";
+
+export function isSecretName(name) {
+  return SECRET_NAME_RE.test(String(name));
+}
+
+// Absolute or path-only URL with secret query values (and any userinfo)
+// replaced; anything unparsable is returned as is
+export function redactUrl(value) {
+  const text = String(value);
+  let url;
+  try {
+    url = new URL(text, "http://placeholder");
+  } catch {
+    return text;
+  }
+
+  let changed = false;
+  for (const name of [...new Set(url.searchParams.keys())]) {
+    if (isSecretName(name)) {
+      url.searchParams.set(name, REDACTED);
+      changed = true;
+    }
+  }
+  if (url.username || url.password) {
+    url.username = "";
+    url.password = "";
+    changed = true;
+  }
+  if (!changed) return text;
+
+  const redacted = url.toString();
+  return url.origin === "http://placeholder" && !text.startsWith("http://placeholder")
+    ? redacted.slice(url.origin.length)
+    : redacted;
+}
+
+// Copy of `value` with secret-looking keys replaced, at any depth
+export function redactObject(value) {
+  if (Array.isArray(value)) return value.map(redactObject);
+  if (!value || typeof value !== "object") return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([name, inner]) => [
+      name,
+      isSecretName(name) ? REDACTED : redactObject(inner),
+    ])
+  );
+}
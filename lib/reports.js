@@ -0,0 +1,193 @@
+// lib/reports.js
+// Declarative registry of Walla reports the scraper knows how to export.
+//
+// Each definition describes:
+//   path           – report path under the business slug (e.g. "reports/sales")
+//   params         – fixed query params added to the report URL
+//   filters        – report URL params callers may set, each with its default
+//                    (today's behavior) and either the allowed `values` or a
+//                    `pattern`; exposed as request params of the same name
+//   api            – { urlPattern } matching the JSON requests the report page
+//                    makes for its rows (network capture, lib/network-capture.js);
+//                    null to always use the Export button
+//   readyText      – optional text that appears once the report table rendered
+//   exportSelectors – ordered locator specs tried to find the Export control
+//   emptyText      – text of the empty state; without an Export control the
+//                    range has no data only if this is on the page
+//
+// Adding a report means adding an entry here; the login / download pipeline
+// in lib/scraper.js is shared by all of them.
+
+// Default Export-control lookup: a real <button> first, then any element whose
+// whole text is "Export" (Walla renders some reports with a plain div).
+const DEFAULT_EXPORT_SELECTORS = [
+  { role: "button", name: /export/i },
+  { text: /^\s*export\s*$/i },
+];
+
+// Walla's empty-state wording ("No results", "No data found", ...)
+const DEFAULT_EMPTY_TEXT =
+  /\bno (results|data|records|transactions|sales|clients)\b( found| to (show|display))?/i;
+
+// Filter value patterns
+const ID_OR_ALL = /^(all|\d+)$/;
+const SLUG_OR_ALL = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+export const REPORTS = {
+  sales: {
+    title: "Sales (cash basis)",
+    path: "reports/sales",
+    params: {
+      page: "1",
+      pageSize: "1000",
+    },
+    filters: {
+      basis: {
+        default: "cash",
+        values: ["cash", "accrual"],
+        description: "Revenue basis",
+      },
+      cashViewBy: {
+        default: "paid-date",
+        values: ["paid-date", "sale-date"],
+        description: "Date cash-basis rows are reported by",
+      },
+      virtualDisplay: {
+        default: "by-location",
+        values: ["by-location", "combined"],
+        description: "How virtual sales are grouped",
+      },
+      locationId: {
+        default: "all",
+        pattern: ID_OR_ALL,
+        description: "Walla location id, or all",
+      },
+      reportCashCategory: {
+        default: "all",
+        pattern: SLUG_OR_ALL,
+        description: "Cash category, or all",
+      },
+      paymentMethod: {
+        default: "all",
+        pattern: SLUG_OR_ALL,
+        description: "Payment method (e.g. card, cash, gift-card), or all",
+      },
+      sort: {
+        default: "date",
+        values: ["date", "amount", "client", "location"],
+        description: "Sort column",
+      },
+      sortDir: {
+        default: "desc",
+        values: ["asc", "desc"],
+        description: "Sort direction",
+      },
+    },
+    api: { urlPattern: /\/api\/.*\breports?\/sales\b/i },
+    readyText: null,
+    exportSelectors: DEFAULT_EXPORT_SELECTORS,
+    emptyText: DEFAULT_EMPTY_TEXT,
+  },
+
+  "first-purchase": {
+    title: "First purchase",
+    path: "reports/first-purchase",
+    params: {},
+    filters: {
+      offeringId: {
+        default: "all",
+        pattern: ID_OR_ALL,
+        description: "Walla offering id, or all",
+      },
+      locationId: {
+        default: "all",
+        pattern: ID_OR_ALL,
+        description: "Walla location id, or all",
+      },
+      groupBy: {
+        default: "week",
+        values: ["day", "week", "month"],
+        description: "Grouping period",
+      },
+    },
+    api: { urlPattern: /\/api\/.*\breports?\/first-?purchases?\b/i },
+    readyText: /client id/i,
+    exportSelectors: DEFAULT_EXPORT_SELECTORS,
+    emptyText: DEFAULT_EMPTY_TEXT,
+  },
+};
+
+export function getReport(key) {
+  return Object.prototype.hasOwnProperty.call(REPORTS, key)
+    ? { key, ...REPORTS[key] }
+    : null;
+}
+
+// Validates the report's filters found in `source` against their schema.
+// With `strict` any other key is rejected as well.
+// Returns { filters } (only the ones given) or { error: message }.
+export function validateFilters(report, source = {}, { strict = false } = {}) {
+  const filters = {};
+
+  for (const [name, raw] of Object.entries(source)) {
+    const spec = report.filters[name];
+    if (!spec) {
+      if (!strict) continue;
+      return {
+        error:
+          `Unknown param '${name}' for report '${report.key}'. ` +
+          `Filters: ${Object.keys(report.filters).join(", ") || "none"}.`,
+      };
+    }
+
+    const value = String(raw);
+    const ok = spec.values ? spec.values.includes(value) : spec.pattern.test(value);
+    if (!ok) {
+      const allowed = spec.values
+        ? `one of: ${spec.values.join(", ")}`
+        : `matching ${spec.pattern}`;
+      return { error: `Param '${name}' must be ${allowed} (got '${value}').` };
+    }
+    filters[name] = value;
+  }
+
+  return { filters };
+}
+
+// Whether any filter narrows the report away from its default view
+export function isFiltered(report, filters = {}) {
+  return Object.entries(filters).some(
+    ([name, value]) => value !== report.filters[name].default
+  );
+}
+
+// Filter schema as shown by GET /reports
+function describeFilters(filters) {
+  return Object.fromEntries(
+    Object.entries(filters).map(([name, spec]) => [
+      name,
+      {
+        default: spec.default,
+        ...(spec.values && { values: spec.values }),
+        ...(spec.pattern && { pattern: spec.pattern.source }),
+        description: spec.description,
+      },
+    ])
+  );
+}
+
+// Default value of every filter
+export function defaultFilters(report) {
+  return Object.fromEntries(
+    Object.entries(report.filters).map(([name, spec]) => [name, spec.default])
+  );
+}
+
+export function listReports() {
+  return Object.keys(REPORTS).map((key) => ({
+    key,
+    title: REPORTS[key].title,
+    path: REPORTS[key].path,
+    filters: describeFilters(REPORTS[key].filters),
+  }));
+}
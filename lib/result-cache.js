@@ -0,0 +1,165 @@
+// lib/result-cache.js
+// Export results cached under $DATA_DIR/cache, so repeated requests for the
+// same period do not log in and export again. Keyed by report, businesses,
+// extract mode, filters (defaults filled in) and date range. Ranges that
+// ended before today (Walla's timezone) are closed and kept long; ranges
+// reaching today may still change and are kept briefly. refresh=1 skips
+// the lookup and replaces the entry; so does archive (and sync), whose rows
+// have to be ingested from a fresh export.
+//
+//   RESULT_CACHE            – "0" turns the cache off
+//   RESULT_CACHE_TTL_CLOSED – seconds a closed range stays cached (604800)
+//   RESULT_CACHE_TTL_OPEN   – seconds a range reaching today stays cached (300)
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DATA_DIR } from "./config.js";
+import { writeFileAtomic, readJson } from "./fs-store.js";
+import { defaultFilters } from "./reports.js";
+import { resolveRange } from "./date-ranges.js";
+import { resolveExtractMode } from "./network-capture.js";
+import { runExportForBusinesses } from "./multi-business.js";
+
+const CACHE_DIR = path.join(DATA_DIR, "cache");
+const ENABLED = process.env.RESULT_CACHE !== "0";
+const TTL_CLOSED_S = Math.max(0, Number(process.env.RESULT_CACHE_TTL_CLOSED ?? 604800));
+const TTL_OPEN_S = Math.max(0, Number(process.env.RESULT_CACHE_TTL_OPEN ?? 300));
+
+// Download fields kept with the file (not the archive ingest counts, which
+// belong to the run that fetched it)
+const KEPT_FIELDS = ["fileName", "mimeType", "strategy", "chunks", "businesses"];
+
+// ----------------------------------------
+// Keys and lifetimes
+// ----------------------------------------
+export function cacheKey(report, businesses, { start, end, filters = {}, extract }) {
+  const allFilters = { ...defaultFilters(report), ...filters };
+  const normalized = {
+    report: report.key,
+    businesses: businesses.map((b) => b.key).sort(),
+    extract: resolveExtractMode(extract),
+    filters: Object.fromEntries(
+      Object.keys(allFilters)
+        .sort()
+        .map((name) => [name, String(allFilters[name])])
+    ),
+    start,
+    end,
+  };
+  return crypto.createHash("sha256").update(JSON.stringify(normalized)).digest("hex");
+}
+
+// Seconds to keep a result for start..end
+export function cacheTtl(end, now = new Date()) {
+  return end < resolveRange("today", now).start ? TTL_CLOSED_S : TTL_OPEN_S;
+}
+
+function metaFile(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+function dataFile(key) {
+  return path.join(CACHE_DIR, `${key}.bin`);
+}
+
+// ----------------------------------------
+// Entries
+// ----------------------------------------
+async function readEntry(key) {
+  const meta = await readJson(metaFile(key)).catch(() => null);
+  if (!meta) return null;
+  if (Date.parse(meta.expiresAt) <= Date.now()) {
+    await removeEntry(key);
+    return null;
+  }
+
+  try {
+    const buffer = await fs.readFile(dataFile(key));
+    return { ...meta.download, buffer, cache: { hit: true, cachedAt: meta.cachedAt } };
+  } catch {
+    return null;
+  }
+}
+
+async function removeEntry(key) {
+  await fs.rm(metaFile(key), { force: true });
+  await fs.rm(dataFile(key), { force: true });
+}
+
+async function writeEntry(key, download, ttlSeconds) {
+  const now = Date.now();
+  const meta = {
+    cachedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+    download: Object.fromEntries(
+      KEPT_FIELDS.filter((name) => download[name] !== undefined).map((name) => [
+        name,
+        download[name],
+      ])
+    ),
+  };
+  // File first: a meta file always has its data
+  await writeFileAtomic(dataFile(key), download.buffer);
+  await writeFileAtomic(metaFile(key), JSON.stringify(meta));
+  return meta;
+}
+
+// Drops expired entries
+async function prune() {
+  const names = await fs.readdir(CACHE_DIR).catch(() => []);
+  for (const name of names.filter((n) => n.endsWith(".json"))) {
+    const key = name.slice(0, -".json".length);
+    const meta = await readJson(metaFile(key)).catch(() => null);
+    if (!meta || Date.parse(meta.expiresAt) <= Date.now()) await removeEntry(key);
+  }
+}
+
+// Complete results only: not when some businesses of business=all failed
+function isCacheable(download) {
+  return (
+    Boolean(download.buffer) &&
+    !download.businesses?.some((b) => b.status === "failed")
+  );
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+// runExportForBusinesses through the cache. The download carries `cache`:
+// { hit, cachedAt } (null when the cache is off or the result was not kept).
+export async function cachedExport(report, opts, businesses, creds, { refresh = false } = {}) {
+  if (!ENABLED) {
+    const download = await runExportForBusinesses(report, opts, businesses, creds);
+    return { ...download, cache: null };
+  }
+
+  const key = cacheKey(report, businesses, opts);
+  if (!refresh && !opts.archive) {
+    const hit = await readEntry(key);
+    if (hit) {
+      console.log(`[CACHE] ${report.key} ${opts.start}..${opts.end}: hit (cached ${hit.cache.cachedAt})`);
+      return hit;
+    }
+  }
+
+  // Streamed downloads keep their bytes when they are going to be cached
+  const ttl = cacheTtl(opts.end);
+  const download = await runExportForBusinesses(
+    report,
+    { ...opts, keepFile: ttl > 0 },
+    businesses,
+    creds
+  );
+
+  if (!ttl || !isCacheable(download)) return { ...download, cache: null };
+
+  try {
+    const meta = await writeEntry(key, download, ttl);
+    prune().catch((err) => console.warn("[CACHE] Could not prune:", err));
+    return { ...download, cache: { hit: false, cachedAt: meta.cachedAt } };
+  } catch (err) {
+    console.warn("[CACHE] Could not store result:", err);
+    return { ...download, cache: null };
+  }
+}
@@ -0,0 +1,231 @@
+// lib/runs.js
+// Run records and failure forensics
+//
+// Every export / session refresh gets a run id. When a browser session of the
+// run fails we keep a full-page screenshot, the page HTML, the final URL and
+// a Playwright trace zip under $DATA_DIR/runs/<id>, so a changed UI can be
+// told apart from an empty range or a login wall. Logins are left out of
+// the trace, which only admin keys can download.
+//
+//   RUN_TRACES           – "0" to skip recording Playwright traces
+//   RUN_RETENTION_DAYS   – run records / artifacts older than this are removed (7)
+//   RUN_RETENTION_MB     – oldest runs are removed past this total size (500)
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DATA_DIR } from "./config.js";
+import { writeFileAtomic, readJson } from "./fs-store.js";
+import { errorSummary } from "./errors.js";
+import { addLogContext } from "./log.js";
+
+const RUNS_DIR = path.join(DATA_DIR, "runs");
+const TRACES_ENABLED = process.env.RUN_TRACES !== "0";
+const RETENTION_MS =
+  Math.max(0, Number(process.env.RUN_RETENTION_DAYS ?? 7)) * 24 * 60 * 60 * 1000;
+const RETENTION_BYTES =
+  Math.max(0, Number(process.env.RUN_RETENTION_MB ?? 500)) * 1024 * 1024;
+
+const ID_RE = /^[0-9a-f-]{36}$/;
+
+// Runs still in progress, so concurrent failures update the same record
+const active = new Map();
+
+// Browser contexts being traced; true while the trace is paused for a login
+const traced = new WeakMap();
+
+function runDir(id) {
+  return path.join(RUNS_DIR, id);
+}
+
+function runFile(id) {
+  return path.join(runDir(id), "run.json");
+}
+
+async function saveRun(run) {
+  await writeFileAtomic(runFile(run.id), JSON.stringify(run, null, 2));
+}
+
+// ----------------------------------------
+// Lifecycle
+// ----------------------------------------
+// meta: { kind, report?, business?, start?, end? }. Later log lines of the
+// current request / job carry the run's id.
+export async function startRun(meta) {
+  const run = {
+    id: crypto.randomUUID(),
+    ...meta,
+    status: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+    failures: [],
+  };
+  active.set(run.id, run);
+  addLogContext({ runId: run.id });
+  await saveRun(run);
+  return run;
+}
+
+export async function finishRun(run, err = null) {
+  run.error = err ? errorSummary(err) : null;
+  if (!err) run.status = "succeeded";
+  else run.status = run.error.code === "no_data" ? "no_data" : "failed";
+  run.finishedAt = new Date().toISOString();
+
+  try {
+    await saveRun(run);
+  } catch (saveErr) {
+    console.error(`[RUNS] Could not save run ${run.id}:`, saveErr);
+  }
+  active.delete(run.id);
+
+  pruneRuns().catch((pruneErr) =>
+    console.error("[RUNS] Pruning failed:", pruneErr)
+  );
+}
+
+// Tags an error with its run id (for the error JSON) and finishes the run
+export async function failRun(run, err) {
+  if (err && typeof err === "object") err.runId = run.id;
+  await finishRun(run, err);
+}
+
+// ----------------------------------------
+// Capture (called by the browser wrapper)
+// ----------------------------------------
+export async function startTracing(context) {
+  if (!TRACES_ENABLED) return;
+  await context.tracing.start({ screenshots: true, snapshots: true });
+  traced.set(context, false);
+}
+
+// Runs the login without tracing it: the trace so far is dropped and
+// recording resumes only once the login succeeded, so neither the typed
+// password nor a login form still holding it is ever in a trace zip
+export async function untraced(context, fn) {
+  if (traced.get(context) !== false) return fn();
+
+  await context.tracing.stopChunk();
+  traced.set(context, true);
+  const result = await fn();
+  await context.tracing.startChunk();
+  traced.set(context, false);
+  return result;
+}
+
+// Saves screenshot / HTML / URL / trace for one failed browser session.
+// Every step is best effort: the page may already be gone.
+export async function captureFailure(runId, { context, page, error, label }) {
+  const run = active.get(runId);
+  if (!run) return;
+
+  const n = run.failures.length + 1;
+  const prefix = `failure${n}`;
+  const dir = runDir(runId);
+  await fs.mkdir(dir, { recursive: true });
+
+  const failure = {
+    label: label || null,
+    at: new Date().toISOString(),
+    error: errorSummary(error),
+    finalUrl: null,
+    artifacts: [],
+  };
+  run.failures.push(failure);
+
+  const save = async (name, produce) => {
+    try {
+      const data = await produce();
+      if (data === undefined) return;
+      await fs.writeFile(path.join(dir, name), data, { mode: 0o600 });
+      failure.artifacts.push(name);
+    } catch (err) {
+      console.warn(`[RUNS] ${runId}: could not capture ${name}:`, err.message);
+    }
+  };
+
+  if (page && !page.isClosed()) {
+    failure.finalUrl = page.url();
+    await save(`${prefix}-screenshot.png`, () =>
+      page.screenshot({ fullPage: true, timeout: 15000 })
+    );
+    await save(`${prefix}-page.html`, () => page.content());
+  }
+
+  if (context && traced.get(context) === false) {
+    const name = `${prefix}-trace.zip`;
+    try {
+      await context.tracing.stop({ path: path.join(dir, name) });
+      failure.artifacts.push(name);
+    } catch (err) {
+      console.warn(`[RUNS] ${runId}: could not save trace:`, err.message);
+    }
+  }
+
+  console.log(
+    `[RUNS] ${runId}: kept ${failure.artifacts.length} artifact(s) for failure ${n}`
+  );
+  await saveRun(run).catch(() => {});
+}
+
+// ----------------------------------------
+// Lookup
+// ----------------------------------------
+export async function getRun(id) {
+  if (!ID_RE.test(id)) return null;
+  return active.get(id) || (await readJson(runFile(id)));
+}
+
+// Absolute path of an artifact the run recorded (null otherwise)
+export async function runArtifactPath(id, name) {
+  const run = await getRun(id);
+  if (!run) return null;
+
+  const known = run.failures.some((f) => f.artifacts.includes(name));
+  return known ? path.join(runDir(id), name) : null;
+}
+
+// ----------------------------------------
+// Retention
+// ----------------------------------------
+async function dirSize(dir) {
+  let total = 0;
+  for (const name of await fs.readdir(dir)) {
+    const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+    if (stat) total += stat.size;
+  }
+  return total;
+}
+
+export async function pruneRuns() {
+  let ids = [];
+  try {
+    ids = await fs.readdir(RUNS_DIR);
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+
+  const finished = [];
+  for (const id of ids) {
+    if (!ID_RE.test(id) || active.has(id)) continue;
+    const run = await readJson(runFile(id)).catch(() => null);
+    finished.push({
+      id,
+      at: Date.parse(run?.finishedAt || run?.startedAt) || 0,
+      size: await dirSize(runDir(id)),
+    });
+  }
+
+  // Oldest first: drop by age, then until the total fits
+  finished.sort((a, b) => a.at - b.at);
+  const now = Date.now();
+  let total = finished.reduce((sum, r) => sum + r.size, 0);
+
+  for (const r of finished) {
+    if (now - r.at <= RETENTION_MS && total <= RETENTION_BYTES) break;
+    await fs.rm(runDir(r.id), { recursive: true, force: true });
+    total -= r.size;
+  }
+}
@@ -0,0 +1,141 @@
+// lib/s3.js
+// Minimal S3-compatible PutObject (AWS, MinIO, R2, ...) signed with AWS
+// Signature Version 4. Uploads carry Content-MD5 and x-amz-checksum-sha256,
+// so the store rejects a body that arrived damaged.
+
+import crypto from "node:crypto";
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest();
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it ('/' kept between key segments)
+function encodeKey(key) {
+  return key
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(
+        /[!'()*]/g,
+        (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+      )
+    )
+    .join("/");
+}
+
+function amzDate(now) {
+  return now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Authorization header value for one request. `headers` are the headers to
+// sign (lower-case names), `path` is already URI-encoded.
+export function signV4({
+  method,
+  path,
+  query = "",
+  headers,
+  payloadHash,
+  region,
+  service = "s3",
+  accessKeyId,
+  secretAccessKey,
+  date,
+}) {
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    path,
+    query,
+    ...names.map((name) => `${name}:${String(headers[name]).trim()}`),
+    "",
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const day = date.slice(0, 8);
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    date,
+    scope,
+    sha256(canonicalRequest).toString("hex"),
+  ].join("\n");
+
+  let key = hmac(`AWS4${secretAccessKey}`, day);
+  for (const part of [region, service, "aws4_request"]) key = hmac(key, part);
+  const signature = hmac(key, stringToSign).toString("hex");
+
+  return (
+    `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+    `SignedHeaders=${names.join(";")}, Signature=${signature}`
+  );
+}
+
+// Uploads `body` to bucket/key. Path-style URLs (endpoint/bucket/key) unless
+// pathStyle is false (bucket.endpoint/key). Resolves to { url, etag,
+// sha256, md5 }; throws with the store's status and message otherwise.
+export async function putObject({
+  endpoint,
+  region,
+  bucket,
+  key,
+  body,
+  contentType = "application/octet-stream",
+  accessKeyId,
+  secretAccessKey,
+  pathStyle = true,
+}) {
+  const base = new URL(endpoint);
+  const basePath = base.pathname.replace(/\/$/, "");
+  const url = pathStyle
+    ? new URL(`${base.origin}${basePath}/${bucket}/${encodeKey(key)}`)
+    : new URL(`${base.protocol}//${bucket}.${base.host}${basePath}/${encodeKey(key)}`);
+
+  const digest = sha256(body);
+  const md5 = crypto.createHash("md5").update(body).digest("base64");
+  const date = amzDate(new Date());
+
+  const headers = {
+    host: url.host,
+    "content-md5": md5,
+    "content-type": contentType,
+    "x-amz-checksum-sha256": digest.toString("base64"),
+    "x-amz-content-sha256": digest.toString("hex"),
+    "x-amz-date": date,
+  };
+
+  const authorization = signV4({
+    method: "PUT",
+    path: url.pathname,
+    headers,
+    payloadHash: headers["x-amz-content-sha256"],
+    region,
+    accessKeyId,
+    secretAccessKey,
+    date,
+  });
+
+  const { host: _host, ...sent } = headers;
+  const resp = await fetch(url, {
+    method: "PUT",
+    headers: { ...sent, authorization },
+    body,
+    signal: AbortSignal.timeout(60000),
+  });
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => "");
+    const message = /<Message>([^<]*)<\/Message>/.exec(text)?.[1] || text.slice(0, 200);
+    throw new Error(`S3 PUT ${url.pathname} failed with HTTP ${resp.status}: ${message}`);
+  }
+
+  return {
+    url: url.toString(),
+    etag: resp.headers.get("etag"),
+    sha256: digest.toString("hex"),
+    md5,
+  };
+}
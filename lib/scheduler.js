@@ -0,0 +1,446 @@
+// lib/scheduler.js
+// Recurring exports defined in the service itself
+//
+// Schedules come from SCHEDULES (inline JSON) or SCHEDULES_FILE (default
+// ./schedules.json when present), as an array of:
+//
+//   {
+//     "id": "daily-sales",
+//     "cron": "0 6 * * *",              // evaluated in America/New_York
+//     "report": "sales",
+//     "business": "the-pearl",          // optional, "all" allowed
+//     "range": "yesterday",             // see lib/date-ranges.js
+//     "format": "raw",                  // raw | json | ndjson
+//     "extract": "auto",                // auto | network | export
+//     "chunk": "auto",                  // auto | none | day | week | month
+//     "filters": { "basis": "accrual" }, // report filters, see GET /reports
+//     "destination": { "type": "webhook", "url": "https://...", "mode": "json" }
+//                 // or { "type": "directory", "path": "./exports" }, an
+//                 // inline s3 destination, or the name of a configured
+//                 // destination ("archive-s3", see lib/destinations.js)
+//     "catchUp": true,                  // run occurrences missed while down
+//     "archive": true,                  // ingest into the archive (default:
+//                                       // ARCHIVE_INGEST)
+//     "enabled": true
+//   }
+//
+// Run history is kept per schedule under $DATA_DIR/schedules.
+//
+//   SCHEDULE_CATCHUP_MAX – most missed occurrences run on catch-up (5)
+
+import fs from "node:fs";
+import path from "node:path";
+import cronParser from "cron-parser";
+import { DATA_DIR, WALLA_TIMEZONE } from "./config.js";
+import { writeFileAtomic, readJson } from "./fs-store.js";
+import { getReport, validateFilters, isFiltered } from "./reports.js";
+import { resolveBusinesses } from "./businesses.js";
+import { isRangePreset, resolveRange } from "./date-ranges.js";
+import { runExportForBusinesses } from "./multi-business.js";
+import { FORMATS, renderOutput } from "./parse.js";
+import { sendWebhook, WEBHOOK_MODES } from "./webhook.js";
+import {
+  getDestination,
+  validateDestination,
+  writeToDestination,
+} from "./destinations.js";
+import { shouldIngest } from "./archive.js";
+import { EXTRACT_MODES } from "./network-capture.js";
+import { CHUNK_UNITS } from "./chunking.js";
+import { startRun, finishRun, failRun } from "./runs.js";
+import { withLogContext } from "./log.js";
+import { isShuttingDown, trackWork } from "./shutdown.js";
+import { codedError, errorSummary } from "./errors.js";
+import { redactObject } from "./redact.js";
+
+const STATE_DIR = path.join(DATA_DIR, "schedules");
+const TICK_MS = 30000;
+const HISTORY_LIMIT = 50;
+const CATCHUP_MAX = Math.max(1, Number(process.env.SCHEDULE_CATCHUP_MAX) || 5);
+
+// An occurrence older than this when first seen was missed (process down)
+const MISSED_AFTER_MS = 2 * TICK_MS;
+
+let schedules = [];
+const states = new Map();
+const running = new Set();
+let timer = null;
+
+// ----------------------------------------
+// Config
+// ----------------------------------------
+function readConfig() {
+  if (process.env.SCHEDULES) return JSON.parse(process.env.SCHEDULES);
+
+  const file = path.resolve(process.env.SCHEDULES_FILE || "./schedules.json");
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (process.env.SCHEDULES_FILE) {
+    throw new Error(`SCHEDULES_FILE not found: ${file}`);
+  }
+  return [];
+}
+
+function validateSchedule(entry) {
+  const where = `Schedule '${entry && entry.id}'`;
+
+  if (!entry || !/^[A-Za-z0-9_-]+$/.test(String(entry.id || ""))) {
+    throw new Error(`${where}: 'id' must be letters, digits, '-' or '_'`);
+  }
+  try {
+    cronParser.parseExpression(String(entry.cron), { tz: WALLA_TIMEZONE });
+  } catch (err) {
+    throw new Error(`${where}: invalid cron '${entry.cron}': ${err.message}`);
+  }
+  const report = getReport(entry.report);
+  if (!report) {
+    throw new Error(`${where}: unknown report '${entry.report}'`);
+  }
+  const { filters, error } = validateFilters(report, entry.filters || {}, {
+    strict: true,
+  });
+  if (error) throw new Error(`${where}: ${error}`);
+  if (!resolveBusinesses(entry.business)) {
+    throw new Error(`${where}: unknown business '${entry.business}'`);
+  }
+  if (!isRangePreset(String(entry.range))) {
+    throw new Error(`${where}: unknown range '${entry.range}'`);
+  }
+
+  const format = String(entry.format || "raw");
+  if (!FORMATS.includes(format)) {
+    throw new Error(`${where}: format must be one of ${FORMATS.join(", ")}`);
+  }
+
+  if (entry.extract !== undefined && !EXTRACT_MODES.includes(entry.extract)) {
+    throw new Error(`${where}: extract must be one of ${EXTRACT_MODES.join(", ")}`);
+  }
+
+  if (entry.chunk !== undefined && !CHUNK_UNITS.includes(entry.chunk)) {
+    throw new Error(`${where}: chunk must be one of ${CHUNK_UNITS.join(", ")}`);
+  }
+
+  let dest = entry.destination || {};
+  if (typeof dest === "string") {
+    dest = getDestination(dest);
+    if (!dest) throw new Error(`${where}: unknown destination '${entry.destination}'`);
+  } else if (dest.type === "webhook") {
+    if (!dest.url) throw new Error(`${where}: webhook destination needs 'url'`);
+    if (dest.mode && !WEBHOOK_MODES.includes(dest.mode)) {
+      throw new Error(`${where}: webhook mode must be one of ${WEBHOOK_MODES.join(", ")}`);
+    }
+  } else if (dest.type === "directory" || dest.type === "s3") {
+    dest = validateDestination(`${entry.id}`, dest);
+  } else {
+    throw new Error(
+      `${where}: destination must be a configured destination name or of type 'webhook', 'directory' or 's3'`
+    );
+  }
+
+  return {
+    id: String(entry.id),
+    cron: String(entry.cron),
+    report: String(entry.report),
+    business: entry.business ? String(entry.business) : null,
+    range: String(entry.range),
+    format,
+    chunk: entry.chunk,
+    extract: entry.extract,
+    filters,
+    destination: dest,
+    catchUp: Boolean(entry.catchUp),
+    // The archive holds the default (unfiltered) view of each report
+    archive:
+      !isFiltered(report, filters) && shouldIngest(report.key, entry.archive),
+    enabled: entry.enabled !== false,
+  };
+}
+
+// ----------------------------------------
+// State (last evaluated occurrence + run history)
+// ----------------------------------------
+function stateFile(id) {
+  return path.join(STATE_DIR, `${id}.json`);
+}
+
+async function saveState(id) {
+  await writeFileAtomic(stateFile(id), JSON.stringify(states.get(id), null, 2));
+}
+
+// Cron occurrences in (after, until]
+function occurrencesBetween(cron, after, until) {
+  const iterator = cronParser.parseExpression(cron, {
+    tz: WALLA_TIMEZONE,
+    currentDate: after,
+    endDate: until,
+  });
+
+  const found = [];
+  while (iterator.hasNext() && found.length < 1000) {
+    found.push(iterator.next().toDate());
+  }
+  return found;
+}
+
+function nextOccurrence(cron) {
+  return cronParser
+    .parseExpression(cron, { tz: WALLA_TIMEZONE })
+    .next()
+    .toDate()
+    .toISOString();
+}
+
+// ----------------------------------------
+// Running a schedule
+// ----------------------------------------
+async function deliver(schedule, output, meta) {
+  const dest = schedule.destination;
+
+  if (dest.type === "webhook") {
+    return sendWebhook(dest.url, { meta, file: output, mode: dest.mode });
+  }
+
+  return writeToDestination(dest, output, meta);
+}
+
+async function executeRun(schedule, run, record) {
+  const report = getReport(schedule.report);
+  const businesses = resolveBusinesses(schedule.business);
+  const businessKey = businesses.length > 1 ? "all" : businesses[0].key;
+
+  try {
+    const download = await runExportForBusinesses(
+      report,
+      {
+        start: run.start,
+        end: run.end,
+        chunk: schedule.chunk,
+        extract: schedule.extract,
+        filters: schedule.filters,
+        archive: schedule.archive,
+        runId: run.id,
+        // Paused logins are listed under GET /session/challenges
+        waitForCode: true,
+      },
+      businesses,
+      {}
+    );
+    const output = await renderOutput(download, schedule.format);
+    run.rowCount = output.rowCount ?? null;
+    run.strategy = download.strategy || null;
+    run.archive =
+      download.archive ||
+      download.businesses?.map((b) => ({ business: b.business, ...b.archive })) ||
+      null;
+
+    run.destinationResult = await deliver(schedule, output, {
+      schedule: schedule.id,
+      runId: run.id,
+      report: report.key,
+      business: businessKey,
+      start: run.start,
+      end: run.end,
+    });
+
+    // The run record (GET /runs/:id) fails along with the delivery
+    if (!run.destinationResult.ok) {
+      run.status = "delivery_failed";
+      await failRun(
+        record,
+        codedError("export_failed", `Delivery failed: ${run.destinationResult.error}`)
+      );
+      return;
+    }
+    await finishRun(record);
+    run.status = "succeeded";
+  } catch (err) {
+    console.error(`[SCHEDULE] ${schedule.id} run ${run.id} failed:`, err);
+    if (record.status === "running") await failRun(record, err);
+    run.error = errorSummary(err);
+    run.status = run.error.code === "no_data" ? "no_data" : "failed";
+  }
+}
+
+// Logs of the run carry the schedule id (and the run id, see startRun).
+// A shutdown waits for the run.
+export function runSchedule(id, opts = {}) {
+  return trackWork(() =>
+    withLogContext({ scheduleId: id }, () => executeSchedule(id, opts))
+  );
+}
+
+async function executeSchedule(id, { trigger = "manual", scheduledFor } = {}) {
+  const schedule = schedules.find((s) => s.id === id);
+  if (!schedule) return null;
+
+  // Claimed before anything is awaited, so a concurrent manual run or tick
+  // cannot start the schedule a second time
+  if (running.has(id)) {
+    console.log(`[SCHEDULE] ${id} ${trigger} run skipped, already running`);
+    return null;
+  }
+  running.add(id);
+  try {
+    return await recordScheduleRun(schedule, { trigger, scheduledFor });
+  } finally {
+    running.delete(id);
+  }
+}
+
+async function recordScheduleRun(schedule, { trigger, scheduledFor }) {
+  const { id } = schedule;
+  const when = scheduledFor || new Date();
+  const range = resolveRange(schedule.range, when);
+
+  // The schedule run shares its id with the run record (GET /runs/:id)
+  const record = await startRun({
+    kind: "schedule",
+    schedule: id,
+    report: schedule.report,
+    business: schedule.business,
+    start: range.start,
+    end: range.end,
+  });
+  const run = {
+    id: record.id,
+    trigger,
+    scheduledFor: when.toISOString(),
+    start: range.start,
+    end: range.end,
+    status: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    rowCount: null,
+    error: null,
+    destinationResult: null,
+  };
+
+  const state = states.get(id);
+  state.runs.unshift(run);
+  state.runs.length = Math.min(state.runs.length, HISTORY_LIMIT);
+  await saveState(id);
+
+  console.log(
+    `[SCHEDULE] ${id} ${trigger} run ${run.id} for ${run.start}..${run.end}`
+  );
+
+  try {
+    await executeRun(schedule, run, record);
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    await saveState(id);
+    console.log(`[SCHEDULE] ${id} run ${run.id} ${run.status}`);
+  }
+
+  return run;
+}
+
+// ----------------------------------------
+// Ticking
+// ----------------------------------------
+async function checkSchedule(schedule, now) {
+  const state = states.get(schedule.id);
+  if (!schedule.enabled || running.has(schedule.id)) return;
+
+  const due = occurrencesBetween(
+    schedule.cron,
+    new Date(state.lastScheduledFor),
+    now
+  );
+  if (!due.length) return;
+
+  state.lastScheduledFor = due[due.length - 1].toISOString();
+  await saveState(schedule.id);
+
+  const missed = due.filter((d) => now - d > MISSED_AFTER_MS);
+  const onTime = due.filter((d) => now - d <= MISSED_AFTER_MS);
+
+  if (missed.length && !schedule.catchUp) {
+    console.log(
+      `[SCHEDULE] ${schedule.id} skipping ${missed.length} missed run(s) (catchUp off)`
+    );
+  }
+
+  const toRun = [
+    ...(schedule.catchUp
+      ? missed.slice(-CATCHUP_MAX).map((d) => ({ d, trigger: "catch-up" }))
+      : []),
+    ...onTime.map((d) => ({ d, trigger: "cron" })),
+  ];
+
+  for (const { d, trigger } of toRun) {
+    await runSchedule(schedule.id, { trigger, scheduledFor: d });
+  }
+}
+
+function tick() {
+  if (isShuttingDown()) return;
+  const now = new Date();
+  for (const schedule of schedules) {
+    checkSchedule(schedule, now).catch((err) =>
+      console.error(`[SCHEDULE] ${schedule.id} check failed:`, err)
+    );
+  }
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+export async function initScheduler() {
+  schedules = readConfig().map(validateSchedule);
+
+  const ids = new Set();
+  for (const schedule of schedules) {
+    if (ids.has(schedule.id)) {
+      throw new Error(`Duplicate schedule id '${schedule.id}'`);
+    }
+    ids.add(schedule.id);
+
+    // First sighting: start counting from now, no backfill of history
+    const state = (await readJson(stateFile(schedule.id))) || {
+      lastScheduledFor: new Date().toISOString(),
+      runs: [],
+    };
+    states.set(schedule.id, state);
+    await saveState(schedule.id);
+  }
+
+  console.log(`[SCHEDULE] Loaded ${schedules.length} schedule(s)`);
+  if (!schedules.length) return;
+
+  tick();
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+}
+
+export function isScheduleRunning(id) {
+  return running.has(id);
+}
+
+// A destination as listed: no credential reference, nothing of a webhook
+// URL past its origin (paths and queries often carry tokens)
+function publicDestination({ credentials: _credentials, ...dest }) {
+  const view = redactObject(dest);
+  if (view.url) {
+    try {
+      view.url = `${new URL(view.url).origin}/***`;
+    } catch {
+      view.url = "***";
+    }
+  }
+  return view;
+}
+
+export function listSchedules() {
+  return schedules.map((schedule) => {
+    const state = states.get(schedule.id);
+    return {
+      ...schedule,
+      destination: publicDestination(schedule.destination),
+      running: running.has(schedule.id),
+      nextRunAt: schedule.enabled ? nextOccurrence(schedule.cron) : null,
+      lastScheduledFor: state.lastScheduledFor,
+      runs: state.runs,
+    };
+  });
+}
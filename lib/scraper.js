@@ -0,0 +1,753 @@
+// lib/scraper.js
+// Shared Walla login + report export pipeline used by every report route
+
+import { Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { devices } from "playwright";
+import { withPooledBrowser } from "./browser-pool.js";
+import { WALLA_BASE_URL, WALLA_TIMEZONE } from "./config.js";
+import { codedError, classifyError } from "./errors.js";
+import { defaultFilters } from "./reports.js";
+import { fileTypeOf, FILE_MIME_TYPES } from "./parse.js";
+import { loadSession, saveSession } from "./session.js";
+import { totp } from "./totp.js";
+import { openChallenge, publicChallenge } from "./verification.js";
+import { timePhase } from "./metrics.js";
+import { captureFailure, startTracing, untraced } from "./runs.js";
+import { anySignal } from "./abort.js";
+import { shutdownSignal } from "./shutdown.js";
+import {
+  resolveExtractMode,
+  startCapture,
+  rowsToDownload,
+  combinedStrategy,
+} from "./network-capture.js";
+import {
+  resolveChunkUnit,
+  splitRange,
+  mergeChunkDownloads,
+} from "./chunking.js";
+
+// Extra attempts for a single failed chunk of a chunked export
+const CHUNK_RETRIES = Math.max(0, Number(process.env.CHUNK_RETRIES ?? 2));
+
+// ----------------------------------------
+// Helpers
+// ----------------------------------------
+export function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", (err) => reject(err));
+  });
+}
+
+export function isLoginPageUrl(urlString) {
+  try {
+    return new URL(urlString).pathname.includes("/login");
+  } catch {
+    return false;
+  }
+}
+
+// Second-factor prompt after submitting the password (own page or inline).
+// Whole words only, so business slugs like "hotpod-yoga" do not match.
+const MFA_URL_RE = /\b(verif\w*|two-factor|2fa|mfa|otp)\b/i;
+const MFA_TEXT_RE =
+  /verification code|two-factor|2-step|authentication code|one-time (pass)?code/i;
+
+async function isMfaPrompt(page) {
+  try {
+    if (MFA_URL_RE.test(new URL(page.url()).pathname)) return true;
+  } catch {
+    // not a URL we can parse, fall through to the text check
+  }
+  return page
+    .getByText(MFA_TEXT_RE)
+    .first()
+    .isVisible()
+    .catch(() => false);
+}
+
+function isReportPageUrl(urlString, report) {
+  try {
+    return new URL(urlString).pathname.includes(`/${report.path}`);
+  } catch {
+    return false;
+  }
+}
+
+// Each run gets its own isolated context on the shared, pooled browser.
+// With opts.runId the session (but not the login) is traced and a failure
+// leaves forensics (screenshot, HTML, final URL, trace) on the run.
+//
+// opts.signal (client gone, timeout=) and the end of a shutdown's grace
+// period close the context at once; the run then fails with the signal's
+// reason. fn gets the combined `signal` to pass on.
+export async function withBrowser(fn, opts = {}) {
+  const dpr = Math.max(1, Math.min(4, Number(opts.dpr) || 2));
+  const signal = anySignal(opts.signal, shutdownSignal);
+
+  return withPooledBrowser(async (browser) => {
+    const context = await browser.newContext({
+      ...devices["Desktop Chrome"],
+      deviceScaleFactor: dpr,
+      ignoreHTTPSErrors: true,
+      locale: "en-US",
+      timezoneId: WALLA_TIMEZONE,
+      viewport: { width: 1360, height: 1800 },
+      storageState: opts.storageState || undefined,
+      userAgent:
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 " +
+        "(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+    });
+
+    let page = null;
+
+    const onAbort = () => {
+      console.warn(`[BROWSER] Aborting: ${signal.reason.message}`);
+      context.close().catch(() => {});
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      signal.throwIfAborted();
+      context.setDefaultNavigationTimeout(180000);
+      context.setDefaultTimeout(90000);
+
+      await context.addInitScript(() => {
+        try {
+          Object.defineProperty(navigator, "webdriver", { get: () => false });
+        } catch {
+          // ignore
+        }
+      });
+
+      if (opts.runId) await startTracing(context);
+
+      page = await context.newPage();
+      await page.setViewportSize({ width: 1360, height: 1800 });
+
+      return await fn({ browser, context, page, signal });
+    } catch (err) {
+      // Whatever Playwright threw once the context was closed under it
+      if (signal.aborted) throw signal.reason;
+
+      if (opts.runId) {
+        await captureFailure(opts.runId, {
+          context,
+          page,
+          error: err,
+          label: opts.business?.key,
+        }).catch((captureErr) =>
+          console.warn("[RUNS] Could not capture failure:", captureErr)
+        );
+      }
+      throw err;
+    } finally {
+      signal.removeEventListener("abort", onAbort);
+      await context.close().catch(() => {});
+    }
+  }, { signal });
+}
+
+// ----------------------------------------
+// Verification codes
+// ----------------------------------------
+// Types `code` into the verification prompt and submits it. True when Walla
+// accepted it (the prompt is gone), false when it shows an error instead.
+export async function submitVerificationCode(page, code) {
+  const codeInput = page
+    .locator(
+      "input[autocomplete='one-time-code'], input[name*='code' i], input[id*='code' i]"
+    )
+    .or(page.getByLabel(/code/i))
+    .first();
+
+  const verifyButton = page
+    .getByRole("button", { name: /verify|submit|continue|confirm/i })
+    .first();
+
+  try {
+    await codeInput.waitFor({ state: "visible", timeout: 20000 });
+  } catch (err) {
+    throw codedError(
+      "selector_not_found",
+      "[LOGIN] Verification code input not found: " + err
+    );
+  }
+
+  // Errors from an earlier code are marked so only a new one counts
+  await page.evaluate(() => {
+    for (const el of document.querySelectorAll("[role='alert']")) {
+      el.dataset.wallaSeen = "1";
+    }
+  });
+
+  await codeInput.fill(code);
+  await verifyButton.click();
+
+  await Promise.race([
+    page.waitForURL(
+      (url) => !MFA_URL_RE.test(url.pathname) && !url.pathname.includes("/login"),
+      { timeout: 30000 }
+    ),
+    page
+      .locator("[role='alert']:not([data-walla-seen])")
+      .first()
+      .waitFor({ state: "visible", timeout: 30000 }),
+  ]).catch(() => {});
+
+  return !(await isMfaPrompt(page)) && !isLoginPageUrl(page.url());
+}
+
+// Gets past the verification prompt: with a TOTP secret on its own,
+// otherwise (opts.waitForCode) by waiting for an operator to submit the
+// code via POST /session/verify. opts.onWaitingForCode is told about the
+// open challenge, and called with null once it is over.
+async function completeVerification(page, opts) {
+  const { totpSecret, waitForCode, onWaitingForCode, business, runId, jobId, signal } = opts;
+
+  if (totpSecret) {
+    console.log("[LOGIN] Verification code requested, submitting TOTP code");
+    if (await submitVerificationCode(page, totp(totpSecret))) return;
+    throw codedError(
+      "verification_failed",
+      "Walla rejected the TOTP code – check the WALLA_TOTP secret and the server clock"
+    );
+  }
+
+  if (!waitForCode) {
+    throw codedError(
+      "mfa_required",
+      `Walla asks for a verification code after login: ${page.url()} ` +
+        "(configure WALLA_TOTP, or run the export as a job and POST /session/verify)"
+    );
+  }
+
+  const challenge = openChallenge({
+    business: business?.key || null,
+    runId: runId || null,
+    jobId: jobId || null,
+    signal,
+  });
+  try {
+    onWaitingForCode?.(publicChallenge(challenge));
+    for (;;) {
+      const code = await challenge.nextCode();
+      const accepted = await submitVerificationCode(page, code);
+      challenge.settle(accepted);
+      if (accepted) return;
+      console.log(`[LOGIN] Verification code rejected (attempt ${challenge.attempts})`);
+    }
+  } finally {
+    challenge.close();
+    onWaitingForCode?.(null);
+  }
+}
+
+// ----------------------------------------
+// Login helper – logs in on the *current* page
+// ----------------------------------------
+// opts: { totpSecret, waitForCode, onWaitingForCode, business, runId,
+// jobId, signal } for accounts behind a verification code (see
+// completeVerification)
+export async function loginOnCurrentPage(page, username, password, opts = {}) {
+  // Traces would hold the password (see lib/runs.js)
+  return untraced(page.context(), () => login(page, username, password, opts));
+}
+
+async function login(page, username, password, opts) {
+  console.log("[LOGIN] Attempting login on URL:", page.url());
+
+  // Timed up to Walla's answer to the password, not the verification step
+  await timePhase("login", () => submitCredentials(page, username, password));
+
+  console.log("[LOGIN] Clicked login button, current URL:", page.url());
+
+  if (await isMfaPrompt(page)) {
+    await completeVerification(page, opts);
+    console.log("[LOGIN] Verification passed, current URL:", page.url());
+  }
+
+  if (isLoginPageUrl(page.url())) {
+    throw codedError(
+      "login_failed",
+      `Login failed – still on login page: ${page.url()}`
+    );
+  }
+}
+
+async function submitCredentials(page, username, password) {
+  const emailInput = page.getByLabel(/email/i).first();
+
+  // Password: target only the actual input, not the "show password" button
+  const passwordInput = page
+    .locator("input[type='password'], input[name='password'], input#password")
+    .first();
+
+  const loginButton = page
+    .getByRole("button", { name: /log in|login|sign in/i })
+    .first();
+
+  try {
+    await emailInput.waitFor({ state: "visible", timeout: 20000 });
+  } catch (err) {
+    throw codedError(
+      "selector_not_found",
+      "[LOGIN] Email input not found: " + err
+    );
+  }
+
+  try {
+    await passwordInput.waitFor({ state: "visible", timeout: 20000 });
+  } catch (err) {
+    throw codedError(
+      "selector_not_found",
+      "[LOGIN] Password input not found: " + err
+    );
+  }
+
+  await emailInput.fill(username);
+  await passwordInput.fill(password);
+
+  try {
+    await loginButton.waitFor({ state: "visible", timeout: 15000 });
+  } catch (err) {
+    throw codedError(
+      "selector_not_found",
+      "[LOGIN] Login button not found: " + err
+    );
+  }
+
+  try {
+    await Promise.all([
+      page.waitForURL((url) => !url.pathname.includes("/login"), {
+        timeout: 60000,
+      }),
+      loginButton.click(),
+    ]);
+  } catch (err) {
+    if (err.name !== "TimeoutError") throw err;
+    // Still on /login: either a second factor (handled by the caller) or
+    // rejected credentials
+    if (!(await isMfaPrompt(page))) {
+      throw codedError(
+        "login_failed",
+        `Login failed – still on login page: ${page.url()}`
+      );
+    }
+  }
+}
+
+// ----------------------------------------
+// URL builders
+// ----------------------------------------
+// `filters` are already validated (see checkFilters in lib/http.js); any
+// filter not given keeps its default
+export function buildReportUrl(report, business, { start, end, filters = {} }) {
+  const reportUrl = new URL(
+    `${WALLA_BASE_URL}/${business.slug}/${report.path}`
+  );
+
+  const params = { ...defaultFilters(report), ...report.params, ...filters };
+  for (const [name, value] of Object.entries(params)) {
+    reportUrl.searchParams.set(name, String(value));
+  }
+
+  reportUrl.searchParams.set("timeFrameId", "custom");
+  reportUrl.searchParams.set("startDate", String(start));
+  reportUrl.searchParams.set("endDate", String(end));
+
+  return reportUrl.toString();
+}
+
+function buildBusinessUrl(business) {
+  return `${WALLA_BASE_URL}/${business.slug}`;
+}
+
+export function buildLoginUrl(business, redirectUrl) {
+  const loginUrl = new URL(`${WALLA_BASE_URL}/login`);
+  loginUrl.searchParams.set("redirectUrl", redirectUrl);
+  loginUrl.searchParams.set("bizId", business.bizId);
+  loginUrl.searchParams.set("bizName", business.name);
+  return loginUrl.toString();
+}
+
+// ----------------------------------------
+// Export pipeline – login, open report, click Export, capture download
+// ----------------------------------------
+async function gotoReport(page, reportUrlStr, tag) {
+  await timePhase("navigation", async () => {
+    await page.goto(reportUrlStr, { waitUntil: "domcontentloaded" });
+    try {
+      await page.waitForLoadState("networkidle", { timeout: 60000 });
+    } catch (err) {
+      console.warn(`${tag} networkidle never reached, continuing anyway:`, err);
+    }
+  });
+  console.log(`${tag} URL after explicit report navigation:`, page.url());
+}
+
+async function findExportControl(page, report, tag) {
+  for (const spec of report.exportSelectors) {
+    const locator = spec.role
+      ? page.getByRole(spec.role, { name: spec.name }).first()
+      : page.getByText(spec.text).first();
+
+    try {
+      await locator.waitFor({ state: "visible", timeout: 30000 });
+      return locator;
+    } catch (err) {
+      console.log(`${tag} Export lookup failed for selector, trying next...`, err);
+    }
+  }
+
+  console.log(`${tag} Current URL when failing to find export:`, page.url());
+
+  // No Export control is expected for an empty range; anything else means
+  // the page is not what the selectors were written for
+  const empty = await page
+    .getByText(report.emptyText)
+    .first()
+    .isVisible()
+    .catch(() => false);
+
+  if (empty) {
+    throw codedError(
+      "no_data",
+      `No data in this date range (no Export control). Current URL: ${page.url()}`
+    );
+  }
+
+  throw codedError(
+    "selector_not_found",
+    `Export control not found and no empty-state text on the page. Current URL: ${page.url()}`
+  );
+}
+
+// Network capture first (unless extract=export), the Export button when
+// it yields nothing (extract=auto). The result carries the `strategy` used.
+export async function exportReport(page, report, opts) {
+  const mode = resolveExtractMode(opts.extract);
+  const tag = `[EXPORT:${report.key}:${opts.business.key}]`;
+  const capture =
+    mode !== "export" && report.api ? startCapture(page, report, tag) : null;
+
+  try {
+    return await openAndExtract(page, report, opts, { mode, capture, tag });
+  } finally {
+    capture?.stop();
+  }
+}
+
+async function openAndExtract(page, report, opts, { mode, capture, tag }) {
+  const { business, start, end, filters, username, password, hasSession } =
+    opts;
+
+  // 1) Report URL with default params, filters + requested dates
+  const reportUrlStr = buildReportUrl(report, business, {
+    start,
+    end,
+    filters,
+  });
+
+  // 2) With a stored session go straight to the report; otherwise use the
+  //    explicit login URL with a redirect back to the report
+  const startUrl = hasSession
+    ? reportUrlStr
+    : buildLoginUrl(business, reportUrlStr);
+
+  console.log(`${tag} Navigating to:`, startUrl);
+  await timePhase("navigation", () =>
+    page.goto(startUrl, { waitUntil: "domcontentloaded" })
+  );
+  console.log(`${tag} After initial goto, URL:`, page.url());
+
+  // 3) Login if needed (no session yet, or the stored one expired)
+  if (isLoginPageUrl(page.url())) {
+    if (hasSession) {
+      console.log(`${tag} Stored session expired, logging in again...`);
+    }
+    console.log(`${tag} Detected login page, performing login...`);
+    await loginOnCurrentPage(page, username, password, opts);
+
+    try {
+      await page.waitForURL(
+        (url) =>
+          !url.pathname.includes("/login") &&
+          url.pathname.includes(`/${report.path}`),
+        { timeout: 30000 }
+      );
+    } catch {
+      console.log(
+        `${tag} Login done but did not reach report; going there explicitly...`
+      );
+      await gotoReport(page, reportUrlStr, tag);
+    }
+  }
+
+  console.log(`${tag} Post-login URL:`, page.url());
+
+  if (!isLoginPageUrl(page.url()) && !isReportPageUrl(page.url(), report)) {
+    await gotoReport(page, reportUrlStr, tag);
+  }
+
+  // The login went through, yet the report bounced us back to it
+  if (isLoginPageUrl(page.url())) {
+    throw codedError(
+      "session_expired",
+      `Walla session ended right after login. Current URL: ${page.url()}`
+    );
+  }
+
+  // 4) The report's own API responses, when they were captured
+  if (capture) {
+    const rows = await timePhase("capture", () => capture.collect());
+    if (rows) {
+      if (!rows.length) {
+        throw codedError(
+          "no_data",
+          `Report API returned no rows. Current URL: ${page.url()}`
+        );
+      }
+      const fileName = `${report.key}_${business.key}_${start}_${end}.csv`;
+      return { ...rowsToDownload(rows, fileName), strategy: "network" };
+    }
+  }
+
+  if (mode === "network") {
+    throw codedError(
+      "selector_not_found",
+      `No report API response captured (extract=network). Current URL: ${page.url()}`
+    );
+  }
+  if (capture) {
+    console.log(`${tag} Nothing captured from the report API, using Export...`);
+  }
+
+  // 5) Let React render, wait for the report's readiness marker, then find
+  //    Export
+  const exportLocator = await timePhase("export_wait", async () => {
+    await page.waitForTimeout(3000);
+    if (report.readyText) {
+      await page
+        .getByText(report.readyText)
+        .first()
+        .waitFor({ state: "visible", timeout: 60000 })
+        .catch(() => {});
+    }
+    return findExportControl(page, report, tag);
+  });
+
+  console.log(`${tag} Found Export button, clicking...`);
+
+  return timePhase("download", () =>
+    downloadExport(page, exportLocator, opts, tag)
+  );
+}
+
+// Steps 6 and 7 of openAndExtract
+async function downloadExport(page, exportLocator, opts, tag) {
+  // 6) Click Export & capture the download
+  let download;
+  try {
+    [download] = await Promise.all([
+      page.waitForEvent("download", { timeout: 180000 }),
+      exportLocator.click({ force: true }),
+    ]);
+  } catch (err) {
+    if (err.name !== "TimeoutError") throw err;
+    throw codedError(
+      "download_timeout",
+      `Clicked Export but no download started: ${err.message}`
+    );
+  }
+
+  const fileName = download.suggestedFilename();
+  const mimeType =
+    (typeof download.mimeType === "function" ? download.mimeType() : null) ||
+    FILE_MIME_TYPES[fileTypeOf({ fileName })] ||
+    "application/octet-stream";
+
+  const stream = await download.createReadStream();
+  if (!stream) {
+    throw new Error("Could not create download stream");
+  }
+
+  // 7) Hand the stream to opts.onDownload when it returns a target for this
+  //    file (streamed responses), while the browser still holds it. The
+  //    bytes are only kept when the archive or the result cache
+  //    (opts.keepFile) needs them.
+  const file = { fileName, mimeType, strategy: "export" };
+  const target = opts.onDownload?.(file);
+  if (target) {
+    const keepBytes = opts.archive || opts.keepFile;
+    const chunks = [];
+    const keep = new Transform({
+      transform(chunk, _encoding, done) {
+        if (keepBytes) chunks.push(chunk);
+        done(null, chunk);
+      },
+    });
+    await pipeline(stream, keep, target);
+
+    console.log(`${tag} Download streamed:`, fileName, mimeType);
+    return {
+      ...file,
+      buffer: keepBytes ? Buffer.concat(chunks) : null,
+      streamed: true,
+    };
+  }
+
+  const buffer = await streamToBuffer(stream);
+
+  console.log(`${tag} Download complete:`, fileName, mimeType);
+
+  return { ...file, buffer };
+}
+
+// ----------------------------------------
+// Session-aware entry points
+// ----------------------------------------
+// Reuse the stored storageState for the account when there is one and write
+// the (possibly refreshed) state back once we are past the login wall.
+// Sessions are kept per account *and* business, since the login URL selects
+// the business (bizId) for the session.
+export function sessionAccount(username, business) {
+  return `${username}|${business.key}`;
+}
+
+async function persistSession(context, page, account) {
+  const url = page.url();
+  if (!url.startsWith(WALLA_BASE_URL) || isLoginPageUrl(url)) return;
+
+  try {
+    await saveSession(account, await context.storageState());
+  } catch (err) {
+    console.warn("[SESSION] Could not store session:", err);
+  }
+}
+
+// ----------------------------------------
+// Chunked export – one export per chunk in the same browser context,
+// retrying only the chunk that failed
+// ----------------------------------------
+async function exportChunks(page, report, opts, ranges) {
+  const tag = `[EXPORT:${report.key}:${opts.business.key}]`;
+  const chunks = ranges.map((range) => ({
+    ...range,
+    status: "pending",
+    attempts: 0,
+    rows: null,
+    error: null,
+  }));
+  const downloads = [];
+  let hasSession = opts.hasSession;
+
+  for (const chunk of chunks) {
+    for (;;) {
+      chunk.attempts++;
+      console.log(
+        `${tag} Chunk ${chunk.start}..${chunk.end} (attempt ${chunk.attempts})`
+      );
+
+      try {
+        // Chunks are merged, never streamed one by one
+        const download = await exportReport(page, report, {
+          ...opts,
+          start: chunk.start,
+          end: chunk.end,
+          hasSession,
+          onDownload: undefined,
+        });
+        chunk.status = "ok";
+        downloads.push(download);
+        break;
+      } catch (err) {
+        if (err.code === "no_data") {
+          chunk.status = "no_data";
+          downloads.push(null);
+          break;
+        }
+
+        // Context closed under it: no point retrying
+        if (opts.signal?.aborted) throw opts.signal.reason;
+
+        chunk.error = String(err);
+
+        // A wrong password, a verification step or a changed UI fails the
+        // same way again: give up with the real cause
+        const { code, retryable } = classifyError(err);
+        if (!retryable) {
+          chunk.status = "failed";
+          throw Object.assign(err, { code, chunks });
+        }
+
+        if (chunk.attempts > CHUNK_RETRIES) {
+          chunk.status = "failed";
+          throw codedError(
+            "chunk_failed",
+            `Chunk ${chunk.start}..${chunk.end} failed after ${chunk.attempts} attempt(s): ${err}`,
+            { chunks }
+          );
+        }
+        console.warn(`${tag} Chunk failed, retrying just this chunk:`, err);
+      } finally {
+        // Whatever happened, the context went through the login once
+        if (!isLoginPageUrl(page.url())) hasSession = true;
+      }
+    }
+  }
+
+  const merged = await mergeChunkDownloads(report, opts, chunks, downloads);
+  return { ...merged, strategy: combinedStrategy(downloads) };
+}
+
+export async function runExport(report, opts) {
+  const account = sessionAccount(opts.username, opts.business);
+  const storageState = await loadSession(account);
+  const unit = resolveChunkUnit(opts.chunk, opts.start, opts.end);
+  const ranges = splitRange(opts.start, opts.end, unit);
+
+  return withBrowser(
+    async ({ context, page, signal }) => {
+      const exportOpts = { ...opts, signal, hasSession: Boolean(storageState) };
+
+      try {
+        return ranges.length > 1
+          ? await exportChunks(page, report, exportOpts, ranges)
+          : await exportReport(page, report, exportOpts);
+      } finally {
+        if (!signal.aborted) await persistSession(context, page, account);
+      }
+    },
+    { ...opts, storageState }
+  );
+}
+
+// Fresh login without any stored state; replaces the stored session
+// (opts as for loginOnCurrentPage)
+export async function refreshSession({ business, username, password, runId, ...opts }) {
+  return withBrowser(async ({ context, page, signal }) => {
+    await page.goto(buildLoginUrl(business, buildBusinessUrl(business)), {
+      waitUntil: "domcontentloaded",
+    });
+
+    if (isLoginPageUrl(page.url())) {
+      await loginOnCurrentPage(page, username, password, {
+        ...opts,
+        business,
+        runId,
+        signal,
+      });
+    }
+
+    const savedAt = await saveSession(
+      sessionAccount(username, business),
+      await context.storageState()
+    );
+    return { savedAt, persisted: Boolean(savedAt) };
+  }, { business, runId });
+}
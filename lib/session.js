@@ -0,0 +1,66 @@
+// lib/session.js
+// Encrypted on-disk store for authenticated Playwright storageState,
+// one file per Walla account (key from WALLA_SESSION_SECRET)
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DATA_DIR } from "./config.js";
+import { encryptJson, decryptJson, accountId } from "./crypto.js";
+import { writeFileAtomic, readJson } from "./fs-store.js";
+
+const SESSION_DIR = path.join(DATA_DIR, "sessions");
+
+let warnedDisabled = false;
+
+function sessionSecret() {
+  const secret = process.env.WALLA_SESSION_SECRET || "";
+  if (!secret && !warnedDisabled) {
+    warnedDisabled = true;
+    console.warn(
+      "[SESSION] WALLA_SESSION_SECRET not set – sessions will not be persisted"
+    );
+  }
+  return secret;
+}
+
+function sessionFile(username) {
+  return path.join(SESSION_DIR, `${accountId(username)}.json`);
+}
+
+export async function loadSession(username) {
+  const secret = sessionSecret();
+  if (!secret) return null;
+
+  try {
+    const envelope = await readJson(sessionFile(username));
+    return envelope ? decryptJson(envelope, secret).storageState : null;
+  } catch (err) {
+    console.warn("[SESSION] Could not read stored session, ignoring:", err);
+    return null;
+  }
+}
+
+export async function saveSession(username, storageState) {
+  const secret = sessionSecret();
+  if (!secret) return null;
+
+  const savedAt = new Date().toISOString();
+  const envelope = encryptJson({ savedAt, storageState }, secret);
+
+  await writeFileAtomic(sessionFile(username), JSON.stringify(envelope), {
+    mode: 0o600,
+  });
+
+  console.log("[SESSION] Stored session refreshed at", savedAt);
+  return savedAt;
+}
+
+export async function deleteSession(username) {
+  try {
+    await fs.unlink(sessionFile(username));
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
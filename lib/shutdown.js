@@ -0,0 +1,115 @@
+// lib/shutdown.js
+// Graceful shutdown on SIGTERM / SIGINT: the server stops taking requests
+// (503 shutting_down), queued exports are turned away and no new jobs or
+// schedule runs start. Running requests, jobs and schedule runs get
+// SHUTDOWN_GRACE_MS to finish; whatever still runs then is aborted (its
+// browser context closed) before the browser is closed and the process
+// exits.
+//
+//   SHUTDOWN_GRACE_MS – time running work gets to finish (25000)
+
+import { ERROR_CODES } from "./errors.js";
+import { abortError } from "./abort.js";
+import { drainQueue, closeBrowser } from "./browser-pool.js";
+
+const GRACE_MS = Math.max(0, Number(process.env.SHUTDOWN_GRACE_MS ?? 25000));
+
+// Time aborted work gets to unwind and record its failure
+const ABORT_SETTLE_MS = 5000;
+
+const controller = new AbortController();
+let shuttingDown = false;
+let inFlight = 0;
+let onIdle = null;
+
+// Aborted once the grace period is over
+export const shutdownSignal = controller.signal;
+
+export function isShuttingDown() {
+  return shuttingDown;
+}
+
+function shuttingDownError() {
+  return abortError("shutting_down", "The service is shutting down, try again shortly");
+}
+
+// ----------------------------------------
+// Work the shutdown waits for
+// ----------------------------------------
+export async function trackWork(fn) {
+  inFlight++;
+  try {
+    return await fn();
+  } finally {
+    inFlight--;
+    if (!inFlight) onIdle?.();
+  }
+}
+
+// Resolves to whether all work finished within `ms`
+function idle(ms) {
+  if (!inFlight) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), ms);
+    onIdle = () => {
+      clearTimeout(timer);
+      onIdle = null;
+      resolve(true);
+    };
+  });
+}
+
+// Middleware: every request is work until its response is done; once
+// shutting down new requests are refused
+export function trackRequests(_req, res, next) {
+  if (shuttingDown) {
+    const { status, retryable } = ERROR_CODES.shutting_down;
+    res.set("Connection", "close");
+    return res.status(status).json({
+      ok: false,
+      error: "shutting_down",
+      retryable,
+      details: shuttingDownError().message,
+    });
+  }
+
+  trackWork(() => new Promise((resolve) => res.on("close", resolve)));
+  return next();
+}
+
+// ----------------------------------------
+// Shutdown
+// ----------------------------------------
+export function installShutdown(server) {
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(
+      `[SHUTDOWN] ${signal}: waiting up to ${GRACE_MS}ms for ${inFlight} running request(s) / run(s)`
+    );
+
+    // Keeps the process alive until we are done (the browser's pipe does
+    // not), and exits regardless should closing hang
+    setTimeout(() => {
+      console.error("[SHUTDOWN] Did not finish in time, exiting");
+      process.exit(1);
+    }, GRACE_MS + ABORT_SETTLE_MS + 10000);
+
+    server.close();
+    drainQueue(shuttingDownError());
+
+    if (!(await idle(GRACE_MS))) {
+      console.warn(`[SHUTDOWN] Grace period over, aborting ${inFlight} running request(s) / run(s)`);
+      controller.abort(shuttingDownError());
+      await idle(ABORT_SETTLE_MS);
+    }
+
+    await closeBrowser();
+    console.log("[SHUTDOWN] Done");
+    process.exit(0);
+  };
+
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+  process.once("SIGINT", () => shutdown("SIGINT"));
+}
@@ -0,0 +1,145 @@
+// lib/verification.js
+// Logins paused on Walla's verification-code screen, waiting for an
+// operator to submit the emailed / SMS code (POST /session/verify). The
+// browser session stays open meanwhile, holding its pool slot.
+//
+//   VERIFY_CODE_TIMEOUT_MIN – how long a paused login waits for a code (10)
+//   VERIFY_CODE_ATTEMPTS    – codes tried before the login fails (3)
+
+import crypto from "node:crypto";
+import { codedError } from "./errors.js";
+
+const TIMEOUT_MS =
+  Math.max(1, Number(process.env.VERIFY_CODE_TIMEOUT_MIN) || 10) * 60 * 1000;
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.VERIFY_CODE_ATTEMPTS) || 3);
+
+const challenges = new Map();
+
+export function publicChallenge(challenge) {
+  const { id, business, runId, jobId, createdAt, expiresAt, attempts } = challenge;
+  return { id, business, runId, jobId, createdAt, expiresAt, attempts, maxAttempts: MAX_ATTEMPTS };
+}
+
+// ----------------------------------------
+// Scraper side
+// ----------------------------------------
+// Registers a paused login. The scraper awaits nextCode(), tries the code
+// and reports the outcome with settle(accepted); close() when done. An
+// aborted `signal` ends the wait for a code with its reason; once expired
+// or closed, nextCode() fails right away.
+export function openChallenge({ business, runId = null, jobId = null, signal }) {
+  const now = Date.now();
+  let waiter = null; // scraper waiting in nextCode()
+  let submission = null; // operator waiting for the outcome
+  let closed = false;
+
+  const challenge = {
+    id: crypto.randomUUID(),
+    business,
+    runId,
+    jobId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + TIMEOUT_MS).toISOString(),
+    attempts: 0,
+
+    nextCode() {
+      if (signal?.aborted) return Promise.reject(signal.reason);
+      if (closed || Date.now() >= Date.parse(challenge.expiresAt)) {
+        return Promise.reject(
+          codedError(
+            "verification_failed",
+            `The verification code challenge ${closed ? "was closed" : "expired"}`
+          )
+        );
+      }
+      if (challenge.attempts >= MAX_ATTEMPTS) {
+        return Promise.reject(
+          codedError(
+            "verification_failed",
+            `Walla rejected ${challenge.attempts} verification code(s)`
+          )
+        );
+      }
+      return new Promise((resolve, reject) => {
+        waiter = { resolve, reject };
+      });
+    },
+
+    settle(accepted) {
+      submission?.resolve({
+        accepted,
+        attemptsLeft: MAX_ATTEMPTS - challenge.attempts,
+      });
+      submission = null;
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      challenges.delete(challenge.id);
+      submission?.resolve({ accepted: false, attemptsLeft: 0 });
+    },
+
+    // Route side, see submitCode()
+    submit(code) {
+      if (!waiter || submission) return null;
+      challenge.attempts++;
+      const outcome = new Promise((resolve) => {
+        submission = { resolve };
+      });
+      waiter.resolve(String(code));
+      waiter = null;
+      return outcome;
+    },
+  };
+
+  // Expired: no more codes are taken (see nextCode)
+  const timer = setTimeout(() => {
+    challenges.delete(challenge.id);
+    waiter?.reject(
+      codedError(
+        "mfa_required",
+        `No verification code submitted within ${TIMEOUT_MS / 60000} min (POST /session/verify)`
+      )
+    );
+    waiter = null;
+  }, TIMEOUT_MS);
+  timer.unref();
+
+  const onAbort = () => {
+    waiter?.reject(signal.reason);
+    waiter = null;
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  challenges.set(challenge.id, challenge);
+  console.log(
+    `[VERIFY] ${business}: waiting for a verification code (challenge ${challenge.id})`
+  );
+  return challenge;
+}
+
+// ----------------------------------------
+// Operator side
+// ----------------------------------------
+export function listChallenges() {
+  return [...challenges.values()].map(publicChallenge);
+}
+
+// The open challenge with `id`, else the only one (of `business`, when
+// given); null when there is none or it is ambiguous
+export function findChallenge({ id, business }) {
+  if (id) return challenges.get(String(id)) || null;
+  const open = [...challenges.values()].filter(
+    (c) => !business || c.business === business
+  );
+  return open.length === 1 ? open[0] : null;
+}
+
+// Hands `code` to the paused login. Resolves to { accepted, attemptsLeft }
+// once Walla answered, or null when the login is not waiting for a code
+// right now (another code is being tried).
+export function submitCode(challenge, code) {
+  return challenge.submit(code);
+}
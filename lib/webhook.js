@@ -0,0 +1,272 @@
+// lib/webhook.js
+// Delivery of export results to a caller-supplied URL
+//
+// - retried with exponential backoff (WEBHOOK_MAX_ATTEMPTS, WEBHOOK_BACKOFF_MS)
+// - signed with HMAC-SHA256 over "<timestamp>.<raw body>" when
+//   WEBHOOK_SECRET is set:  X-Webhook-Timestamp / X-Webhook-Signature: sha256=<hex>
+// - sent as JSON with the file base64-encoded, or as multipart/form-data
+//   with a "metadata" JSON field and a "file" part
+// - deliveries that still fail are kept in a dead-letter store under
+//   $DATA_DIR/webhooks/failed for inspection and redelivery
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { DATA_DIR } from "./config.js";
+import { writeFileAtomic, readJson } from "./fs-store.js";
+import { redactUrl } from "./redact.js";
+import { webhookDeliveries } from "./metrics.js";
+
+export const WEBHOOK_MODES = ["json", "multipart"];
+
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5);
+const BACKOFF_MS = Math.max(0, Number(process.env.WEBHOOK_BACKOFF_MS ?? 1000));
+const BACKOFF_MAX_MS = 30000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+const DEAD_LETTER_DIR = path.join(DATA_DIR, "webhooks", "failed");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ----------------------------------------
+// Request building
+// ----------------------------------------
+function buildBody({ meta, file, mode }) {
+  if (mode === "multipart") {
+    const boundary = `----walla-${crypto.randomBytes(12).toString("hex")}`;
+    const metadata = JSON.stringify({
+      ...meta,
+      fileName: file?.fileName ?? null,
+      mimeType: file?.mimeType ?? null,
+    });
+
+    const parts = [
+      Buffer.from(
+        `--${boundary}\r\n` +
+          'Content-Disposition: form-data; name="metadata"\r\n' +
+          "Content-Type: application/json\r\n\r\n" +
+          metadata +
+          "\r\n"
+      ),
+    ];
+
+    if (file) {
+      const safeName = String(file.fileName).replace(/["\r\n]/g, "_");
+      parts.push(
+        Buffer.from(
+          `--${boundary}\r\n` +
+            `Content-Disposition: form-data; name="file"; filename="${safeName}"\r\n` +
+            `Content-Type: ${file.mimeType}\r\n\r\n`
+        ),
+        file.buffer,
+        Buffer.from("\r\n")
+      );
+    }
+
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return {
+      contentType: `multipart/form-data; boundary=${boundary}`,
+      body: Buffer.concat(parts),
+    };
+  }
+
+  const payload = file
+    ? {
+        ...meta,
+        fileName: file.fileName,
+        mimeType: file.mimeType,
+        fileBase64: file.buffer.toString("base64"),
+      }
+    : meta;
+
+  return {
+    contentType: "application/json",
+    body: Buffer.from(JSON.stringify(payload)),
+  };
+}
+
+export function signatureHeaders(body, secret = process.env.WEBHOOK_SECRET) {
+  if (!secret) return {};
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest("hex");
+
+  return {
+    "x-webhook-timestamp": timestamp,
+    "x-webhook-signature": `sha256=${signature}`,
+  };
+}
+
+async function attemptDelivery(url, contentType, body, deliveryId) {
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": contentType,
+        "x-webhook-id": deliveryId,
+        ...signatureHeaders(body),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    return resp.ok
+      ? { ok: true, status: resp.status }
+      : { ok: false, status: resp.status, error: `HTTP ${resp.status}` };
+  } catch (err) {
+    return { ok: false, error: String(err) };
+  }
+}
+
+// ----------------------------------------
+// Dead-letter store
+// ----------------------------------------
+function deadLetterFile(id) {
+  return path.join(DEAD_LETTER_DIR, `${id}.json`);
+}
+
+async function storeDeadLetter(delivery, result) {
+  const record = {
+    id: delivery.id,
+    url: delivery.url,
+    mode: delivery.mode,
+    meta: delivery.meta,
+    file: delivery.file
+      ? {
+          fileName: delivery.file.fileName,
+          mimeType: delivery.file.mimeType,
+          base64: delivery.file.buffer.toString("base64"),
+        }
+      : null,
+    attempts: result.attempts,
+    lastStatus: result.status ?? null,
+    lastError: result.error ?? null,
+    failedAt: new Date().toISOString(),
+    createdAt: delivery.createdAt,
+  };
+  await writeFileAtomic(deadLetterFile(record.id), JSON.stringify(record));
+  console.error(
+    `[WEBHOOK] Delivery ${record.id} to ${redactUrl(record.url)} failed, kept in dead-letter store`
+  );
+}
+
+function toDelivery(record) {
+  return {
+    id: record.id,
+    url: record.url,
+    mode: record.mode,
+    meta: record.meta,
+    file: record.file
+      ? {
+          fileName: record.file.fileName,
+          mimeType: record.file.mimeType,
+          buffer: Buffer.from(record.file.base64, "base64"),
+        }
+      : null,
+    createdAt: record.createdAt,
+  };
+}
+
+// ----------------------------------------
+// Delivery
+// ----------------------------------------
+async function deliver(delivery) {
+  const { contentType, body } = buildBody(delivery);
+  let last = null;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    last = await attemptDelivery(delivery.url, contentType, body, delivery.id);
+    if (last.ok) {
+      return { ...last, attempts: attempt, deliveryId: delivery.id };
+    }
+
+    console.warn(
+      `[WEBHOOK] Delivery ${delivery.id} attempt ${attempt}/${MAX_ATTEMPTS} failed:`,
+      last.error
+    );
+    if (attempt < MAX_ATTEMPTS) {
+      await sleep(Math.min(BACKOFF_MAX_MS, BACKOFF_MS * 2 ** (attempt - 1)));
+    }
+  }
+
+  return { ...last, attempts: MAX_ATTEMPTS, deliveryId: delivery.id };
+}
+
+// POSTs `meta` (+ optional `file` {fileName, mimeType, buffer}) to `url`.
+// Resolves to the webhookResult reported back to callers; never throws.
+export async function sendWebhook(url, { meta, file = null, mode = "json" }) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    url,
+    mode: WEBHOOK_MODES.includes(mode) ? mode : "json",
+    meta,
+    file,
+    createdAt: new Date().toISOString(),
+  };
+
+  const result = await deliver(delivery);
+  if (result.ok) {
+    webhookDeliveries.inc({ outcome: "ok" });
+    return result;
+  }
+
+  try {
+    await storeDeadLetter(delivery, result);
+    webhookDeliveries.inc({ outcome: "dead_lettered" });
+    return { ...result, deadLettered: true };
+  } catch (err) {
+    console.error("[WEBHOOK] Could not store dead letter:", err);
+    webhookDeliveries.inc({ outcome: "failed" });
+    return { ...result, deadLettered: false };
+  }
+}
+
+export async function listFailedDeliveries() {
+  let names = [];
+  try {
+    names = await fs.readdir(DEAD_LETTER_DIR);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const records = [];
+  for (const name of names.filter((n) => n.endsWith(".json"))) {
+    const record = await readJson(path.join(DEAD_LETTER_DIR, name));
+    if (!record) continue;
+    const { file, ...rest } = record;
+    records.push({
+      ...rest,
+      file: file ? { fileName: file.fileName, mimeType: file.mimeType } : null,
+    });
+  }
+
+  return records.sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+}
+
+// Retries a dead letter (with the usual backoff). Removed from the store on
+// success, updated with the latest error otherwise. null if unknown.
+export async function redeliverFailed(id) {
+  if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+
+  const record = await readJson(deadLetterFile(id));
+  if (!record) return null;
+
+  const delivery = toDelivery(record);
+  const result = await deliver(delivery);
+
+  if (result.ok) {
+    await fs.unlink(deadLetterFile(id)).catch(() => {});
+    console.log(`[WEBHOOK] Dead letter ${id} redelivered`);
+  } else {
+    await storeDeadLetter(delivery, {
+      ...result,
+      attempts: record.attempts + result.attempts,
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,75 @@
+// routes/archive.js
+// Queries against the local SQLite archive (no Walla login involved)
+// ----------------------------------------
+// GET /transactions     ?from=&to=&business=&location=&paymentMethod=&clientId=
+// GET /first-purchases  ?from=&to=&business=&location=&offering=&clientId=
+//
+// Both take &limit= (default 1000, max 10000) and &offset= for paging.
+// ----------------------------------------
+
+import express from "express";
+import { queryArchive } from "../lib/archive.js";
+import { codedError } from "../lib/errors.js";
+import { checkScope, scopedBusiness, paramError, sendError } from "../lib/http.js";
+
+const router = express.Router();
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Query param -> archive column, per report
+const FILTERS = {
+  sales: {
+    location: "location",
+    paymentMethod: "payment_method",
+    clientId: "client_id",
+  },
+  "first-purchase": {
+    location: "location",
+    offering: "offering",
+    clientId: "client_id",
+  },
+};
+
+function handleQuery(reportKey, req, res) {
+  const { from, to, limit, offset } = req.query;
+  const business = scopedBusiness(req, req.query.business);
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !DAY_RE.test(String(value))) {
+      const { error } = paramError(
+        "invalid_params",
+        `Param '${name}' must be YYYY-MM-DD.`
+      );
+      return res.status(error.status).json(error.body);
+    }
+  }
+
+  // A key limited to some businesses has to name one of them
+  const scope = checkScope(req, res, {
+    reports: [reportKey],
+    businesses: [business ?? "all"],
+    range: { start: from, end: to },
+  });
+  if (scope.error) return res.status(scope.error.status).json(scope.error.body);
+
+  const filters = { from, to, business };
+  for (const [param, column] of Object.entries(FILTERS[reportKey])) {
+    if (req.query[param] !== undefined) filters[column] = String(req.query[param]);
+  }
+
+  try {
+    const result = queryArchive(reportKey, filters, { limit, offset });
+    return res.json({ ok: true, report: reportKey, ...result });
+  } catch (err) {
+    console.error(`[ARCHIVE] ${reportKey} query failed:`, err);
+    return sendError(res, codedError("archive_query_failed", String(err)));
+  }
+}
+
+router.get("/transactions", (req, res) => handleQuery("sales", req, res));
+
+router.get("/first-purchases", (req, res) =>
+  handleQuery("first-purchase", req, res)
+);
+
+export default router;
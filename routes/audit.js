@@ -0,0 +1,49 @@
+// routes/audit.js
+// Audit log queries (admin keys only, see lib/api-keys.js)
+// ----------------------------------------
+// GET /audit ?actor=&report=&business=&outcome=ok|error|aborted
+//            &since=&until= (YYYY-MM-DD or ISO timestamps)
+//            &limit= (default 100, max 1000) &offset=
+// ----------------------------------------
+
+import express from "express";
+import { queryAudit } from "../lib/audit.js";
+import { paramError, sendError } from "../lib/http.js";
+
+const router = express.Router();
+
+const OUTCOMES = ["ok", "error", "aborted"];
+const TIME_RE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+
+router.get("/audit", async (req, res) => {
+  const { actor, report, business, outcome, since, until } = req.query;
+
+  const invalid = (details) => {
+    const { error } = paramError("invalid_params", details);
+    return res.status(error.status).json(error.body);
+  };
+  if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+    return invalid(`Param 'outcome' must be one of: ${OUTCOMES.join(", ")}.`);
+  }
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value !== undefined && !TIME_RE.test(String(value))) {
+      return invalid(`Param '${name}' must be YYYY-MM-DD or an ISO timestamp.`);
+    }
+  }
+
+  const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+
+  try {
+    const result = await queryAudit(
+      { actor, report, business, outcome, since, until },
+      { limit, offset }
+    );
+    return res.json({ ok: true, ...result, limit, offset });
+  } catch (err) {
+    console.error("[AUDIT] Query failed:", err);
+    return sendError(res, err);
+  }
+});
+
+export default router;
@@ -0,0 +1,184 @@
+// routes/cohorts.js
+// New-client revenue per acquisition cohort (first-purchase joined with sales)
+// ----------------------------------------
+// GET /reports/cohort-revenue?start=YYYY-MM-DD&end=YYYY-MM-DD
+//   &horizon=90d        – days of sales counted after each first purchase
+//   &groupBy=week|month – cohort size (first-purchase groupBy, default week)
+//   &business=<key>|all
+//   &format=json|csv    – default json
+//   &timeout=<seconds>  – give up on the exports after that long
+//   &refresh=1          – export again instead of using cached results
+// ----------------------------------------
+
+import express from "express";
+import { isDay } from "../lib/date-ranges.js";
+import { startRun, finishRun, failRun } from "../lib/runs.js";
+import { requestSignal } from "../lib/abort.js";
+import {
+  COHORT_GROUPS,
+  DEFAULT_HORIZON,
+  parseHorizon,
+  runCohortRevenue,
+  cohortsToCsv,
+} from "../lib/cohorts.js";
+import {
+  checkBusinessParam,
+  checkTimeoutParam,
+  isTrue,
+  requestCredentials,
+  businessesWithoutCredentials,
+  missingCredentials,
+  paramError,
+  sendError,
+  checkScope,
+  scopedBusiness,
+} from "../lib/http.js";
+
+const router = express.Router();
+
+const COHORT_FORMATS = ["json", "csv"];
+
+function checkCohortParams({
+  start,
+  end,
+  horizon,
+  groupBy,
+  business,
+  format,
+  timeout,
+  refresh,
+}) {
+  if (!start || !end) {
+    return paramError(
+      "missing_params",
+      "Params 'start' and 'end' are required (YYYY-MM-DD)."
+    );
+  }
+  for (const [name, value] of Object.entries({ start, end })) {
+    if (!isDay(value)) {
+      return paramError(
+        "invalid_params",
+        `Param '${name}' must be a date as YYYY-MM-DD (got '${value}').`
+      );
+    }
+  }
+  if (String(start) > String(end)) {
+    return paramError(
+      "invalid_params",
+      `Param 'start' (${start}) is after 'end' (${end}).`
+    );
+  }
+
+  const horizonDays = parseHorizon(horizon || DEFAULT_HORIZON);
+  if (!horizonDays) {
+    return paramError(
+      "invalid_params",
+      `Param 'horizon' must be a number of days such as '90d' (got '${horizon}').`
+    );
+  }
+
+  const group = String(groupBy || "week");
+  if (!COHORT_GROUPS.includes(group)) {
+    return paramError(
+      "invalid_params",
+      `Param 'groupBy' must be one of: ${COHORT_GROUPS.join(", ")}.`
+    );
+  }
+
+  const outFormat = String(format || "json").toLowerCase();
+  if (!COHORT_FORMATS.includes(outFormat)) {
+    return paramError(
+      "invalid_params",
+      `Param 'format' must be one of: ${COHORT_FORMATS.join(", ")}.`
+    );
+  }
+
+  const businessCheck = checkBusinessParam(business);
+  if (businessCheck.error) return businessCheck;
+
+  const timeoutCheck = checkTimeoutParam(timeout);
+  if (timeoutCheck.error) return timeoutCheck;
+
+  return {
+    start: String(start),
+    end: String(end),
+    horizonDays,
+    groupBy: group,
+    businesses: businessCheck.businesses,
+    format: outFormat,
+    timeout: timeoutCheck.timeout,
+    refresh: isTrue(refresh),
+  };
+}
+
+router.get("/reports/cohort-revenue", async (req, res) => {
+  const params = checkCohortParams({
+    ...req.query,
+    business: scopedBusiness(req, req.query.business),
+  });
+  if (params.error) {
+    return res.status(params.error.status).json(params.error.body);
+  }
+
+  // Joins both reports, so the key needs both
+  const scope = checkScope(req, res, {
+    reports: ["first-purchase", "sales"],
+    businesses: params.businesses,
+    range: { start: params.start, end: params.end },
+  });
+  if (scope.error) return res.status(scope.error.status).json(scope.error.body);
+
+  const { businesses, start, end, horizonDays, groupBy, format, timeout, refresh } =
+    params;
+  const businessKey = businesses.length > 1 ? "all" : businesses[0].key;
+
+  const missing = businessesWithoutCredentials(req, businesses);
+  if (missing.length) return missingCredentials(res, missing);
+
+  const run = await startRun({
+    kind: "cohort_revenue",
+    business: businessKey,
+    start,
+    end,
+  });
+
+  try {
+    const result = await runCohortRevenue(
+      {
+        businesses,
+        start,
+        end,
+        horizonDays,
+        groupBy,
+        runId: run.id,
+        signal: requestSignal(res, timeout),
+        refresh,
+      },
+      requestCredentials(req)
+    );
+    await finishRun(run);
+
+    if (format === "csv") {
+      res.set("X-Run-Id", run.id);
+      res.attachment(`cohort-revenue_${businessKey}_${start}_${end}.csv`);
+      res.type("text/csv");
+      return res.send(cohortsToCsv(result));
+    }
+
+    return res.json({
+      ok: true,
+      runId: run.id,
+      business: businessKey,
+      horizonDays,
+      groupBy,
+      ...result,
+    });
+  } catch (err) {
+    console.error(`[COHORTS:${businessKey}] Cohort revenue failed:`, err);
+    if (run.status === "running") await failRun(run, err);
+    if (err.code === "cancelled") return;
+    return sendError(res, err, { runId: run.id });
+  }
+});
+
+export default router;
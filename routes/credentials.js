@@ -0,0 +1,79 @@
+// routes/credentials.js
+// Stored Walla accounts (lib/credentials.js), write-only
+// ----------------------------------------
+// GET    /credentials       – stored names (no usernames or secrets)
+// PUT    /credentials/:name – { user, pass, totpSecret? } creates or replaces
+// DELETE /credentials/:name
+// ----------------------------------------
+// Requests then use them with credentials=<name> (query or body).
+
+import express from "express";
+import {
+  CREDENTIAL_NAME_RE,
+  putStoredCredentials,
+  deleteStoredCredentials,
+  listStoredCredentials,
+} from "../lib/credentials.js";
+import { base32Decode } from "../lib/totp.js";
+import { paramError, sendError } from "../lib/http.js";
+
+const router = express.Router();
+
+function invalid(res, details) {
+  const { error } = paramError("invalid_params", details);
+  return res.status(error.status).json(error.body);
+}
+
+router.get("/credentials", (_req, res) => {
+  try {
+    return res.json({ ok: true, credentials: listStoredCredentials() });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+router.put("/credentials/:name", async (req, res) => {
+  const { name } = req.params;
+  const { user, pass, totpSecret } = req.body || {};
+
+  if (!CREDENTIAL_NAME_RE.test(name)) {
+    return invalid(res, "Credential names are 1-64 letters, digits, '-' or '_'.");
+  }
+  if (typeof user !== "string" || !user || typeof pass !== "string" || !pass) {
+    const { error } = paramError("missing_params", "Body needs 'user' and 'pass'.");
+    return res.status(error.status).json(error.body);
+  }
+  if (totpSecret !== undefined && totpSecret !== null) {
+    try {
+      if (!base32Decode(totpSecret).length) throw new Error("empty");
+    } catch {
+      return invalid(res, "'totpSecret' must be a base32 TOTP secret.");
+    }
+  }
+
+  try {
+    const stored = await putStoredCredentials(name, { username: user, password: pass, totpSecret });
+    return res.status(stored.created ? 201 : 200).json({ ok: true, ...stored });
+  } catch (err) {
+    console.error("[CREDENTIALS] Store failed:", err.message);
+    return sendError(res, err);
+  }
+});
+
+router.delete("/credentials/:name", async (req, res) => {
+  try {
+    if (!(await deleteStoredCredentials(req.params.name))) {
+      const { error } = paramError(
+        "unknown_credentials",
+        `No stored credentials named '${req.params.name}'.`
+      );
+      return res.status(error.status).json(error.body);
+    }
+    return res.json({ ok: true, name: req.params.name.toLowerCase(), deleted: true });
+  } catch (err) {
+    console.error("[CREDENTIALS] Delete failed:", err.message);
+    return sendError(res, err);
+  }
+});
+
+export default router;
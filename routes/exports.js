@@ -0,0 +1,289 @@
+// routes/exports.js
+// Synchronous report export routes
+
+import express from "express";
+import { listReports } from "../lib/reports.js";
+import { listBusinesses } from "../lib/businesses.js";
+import { parseExport, convertDownload, fileTypeOf } from "../lib/parse.js";
+import { sendWebhook } from "../lib/webhook.js";
+import { writeToDestinations, listDestinations } from "../lib/destinations.js";
+import { exportAsRun } from "../lib/export-runner.js";
+import { requestSignal } from "../lib/abort.js";
+import {
+  requestCredentials,
+  businessesWithoutCredentials,
+  missingCredentials,
+  sendError,
+  checkExportParams,
+  checkFileRequest,
+  checkScope,
+  scopedBusiness,
+} from "../lib/http.js";
+
+const router = express.Router();
+
+// Metadata headers of streamed / file responses
+function setExportHeaders(res, meta) {
+  res.set("X-Run-Id", meta.runId);
+  res.set("X-Report", meta.report);
+  res.set("X-Business", meta.business);
+  res.set("X-Start", meta.start);
+  res.set("X-End", meta.end);
+  if (meta.strategy) res.set("X-Strategy", meta.strategy);
+}
+
+// The file itself: Content-Disposition from its (suggested) name
+function setFileHeaders(res, file, meta) {
+  setExportHeaders(res, { ...meta, strategy: file.strategy });
+  res.attachment(file.fileName);
+  res.type(file.mimeType);
+}
+
+// ----------------------------------------
+// Generic report export handler
+// ----------------------------------------
+// Optional: ?business=<key>|all (default: the default business)
+// Optional: ?webhook=https://... to POST the file somewhere
+//           (&webhookMode=json|multipart)
+// Optional: ?destination=<name>[,<name>] to also write the file to
+//           configured destinations (see GET /destinations)
+// Optional: ?format=raw|json|ndjson (default raw = base64 file)
+// Optional: ?chunk=auto|none|day|week|month to split long ranges
+// Optional: ?extract=auto|network|export – read the report's API responses,
+//           click Export, or the former with the latter as fallback
+// Optional: ?archive=1|0 to (not) ingest the rows into the local archive
+// Optional: ?sync=1 to export only the days after the archived coverage
+// Optional: report filters, e.g. ?basis=accrual&locationId=12 (see GET /reports)
+// Optional: Accept: text/csv | <xlsx type>, ?download=1 or ?as=csv|xlsx for
+//           the file itself instead of the JSON envelope (streamed from the
+//           browser when no conversion is needed)
+// Optional: ?timeout=<seconds> to give up on the export after that long
+// Optional: ?refresh=1 to export again instead of answering from the
+//           result cache
+//
+// The browser work stops as soon as the client disconnects or the timeout
+// passes.
+// ----------------------------------------
+async function handleExport(reportKey, req, res) {
+  const params = checkExportParams({
+    ...req.query,
+    business: scopedBusiness(req, req.query.business),
+    report: reportKey,
+  });
+  if (params.error) {
+    return res.status(params.error.status).json(params.error.body);
+  }
+
+  const scope = checkScope(req, res, {
+    reports: [params.report.key],
+    businesses: params.businesses,
+    range: { start: params.start, end: params.end },
+  });
+  if (scope.error) return res.status(scope.error.status).json(scope.error.body);
+
+  const fileRequest = checkFileRequest(req);
+  if (fileRequest?.error) {
+    return res.status(fileRequest.error.status).json(fileRequest.error.body);
+  }
+
+  const {
+    report,
+    businesses,
+    start,
+    end,
+    format,
+    chunk,
+    extract,
+    webhookMode,
+    destinations,
+    archive,
+    filters,
+    timeout,
+    refresh,
+  } = params;
+  const { webhook } = req.query;
+  const businessKey = businesses.length > 1 ? "all" : businesses[0].key;
+
+  if (params.upToDate) {
+    return res.json({
+      ok: true,
+      report: report.key,
+      business: businessKey,
+      upToDate: true,
+      details: `Archive already synced through ${end}.`,
+    });
+  }
+
+  const missing = businessesWithoutCredentials(req, businesses);
+  if (missing.length) return missingCredentials(res, missing);
+
+  // runId is set once the run exists
+  const meta = { runId: null, report: report.key, business: businessKey, start, end };
+
+  // Stream the browser's download straight through when it already is the
+  // requested type (webhook and destinations need the whole file first)
+  const onDownload =
+    fileRequest && !webhook && !destinations.length
+      ? (file) => {
+          if (fileRequest.type && fileTypeOf(file) !== fileRequest.type) return null;
+          setFileHeaders(res, file, meta);
+          res.set("X-Cache", "MISS");
+          return res;
+        }
+      : undefined;
+
+  try {
+    const { download } = await exportAsRun(
+      report,
+      {
+        businesses,
+        start,
+        end,
+        chunk,
+        extract,
+        filters,
+        archive,
+        refresh,
+        onDownload,
+        signal: requestSignal(res, timeout),
+      },
+      requestCredentials(req),
+      { onStart: (run) => (meta.runId = run.id) }
+    );
+    if (download.streamed) return;
+
+    res.set("X-Cache", download.cache?.hit ? "HIT" : "MISS");
+    const cached = download.cache?.hit
+      ? { cached: true, cachedAt: download.cache.cachedAt }
+      : { cached: false };
+
+    // Per-chunk / per-business status when the export was split up, and
+    // the archive ingest counts
+    const chunking = {
+      ...(params.sync && { start, end }),
+      ...(download.chunks && { chunks: download.chunks }),
+      ...(download.businesses && { businesses: download.businesses }),
+      ...(download.archive && { archive: download.archive }),
+    };
+
+    // Optional: send to webhook
+    let webhookResult = null;
+    if (webhook) {
+      webhookResult = await sendWebhook(webhook, {
+        meta: { ...meta, strategy: download.strategy },
+        file: download,
+        mode: webhookMode,
+      });
+    }
+
+    // Optional: write to configured destinations
+    const destinationResults = await writeToDestinations(destinations, download, meta);
+    const destinationsOk = destinationResults.every((r) => r.ok);
+
+    if (fileRequest) {
+      const file = await convertDownload(download, fileRequest.type);
+      setFileHeaders(res, file, meta);
+      if (webhookResult) res.set("X-Webhook-Ok", String(webhookResult.ok));
+      if (destinations.length) res.set("X-Destinations-Ok", String(destinationsOk));
+      return res.send(file.buffer);
+    }
+
+    const result = {
+      fileName: download.fileName,
+      mimeType: download.mimeType,
+      fileBase64: download.buffer.toString("base64"),
+    };
+
+    if (format === "raw") {
+      return res.json({
+        ok: true,
+        runId: meta.runId,
+        report: report.key,
+        business: businessKey,
+        strategy: download.strategy,
+        ...cached,
+        ...result,
+        ...chunking,
+        webhookResult,
+        destinationResults,
+      });
+    }
+
+    const parsed = await parseExport(download);
+
+    if (format === "ndjson") {
+      setExportHeaders(res, { ...meta, strategy: download.strategy });
+      res.set("X-Row-Count", String(parsed.rows.length));
+      if (destinations.length) res.set("X-Destinations-Ok", String(destinationsOk));
+      res.type("application/x-ndjson");
+      for (const row of parsed.rows) {
+        res.write(JSON.stringify(row) + "\n");
+      }
+      return res.end();
+    }
+
+    return res.json({
+      ok: true,
+      runId: meta.runId,
+      report: report.key,
+      business: businessKey,
+      strategy: download.strategy,
+      ...cached,
+      fileName: result.fileName,
+      rowCount: parsed.rows.length,
+      columns: parsed.columns,
+      rows: parsed.rows,
+      ...chunking,
+      webhookResult,
+      destinationResults,
+    });
+  } catch (err) {
+    console.error(`[EXPORT:${report.key}:${businessKey}] Walla export failed:`, err);
+
+    // Nobody left to answer
+    if (err.code === "cancelled") return;
+
+    // Failed mid-stream: the status line is gone, cut the response short
+    if (res.headersSent) return res.destroy(err);
+
+    return sendError(res, err, {
+      runId: meta.runId,
+      ...(err.chunks && { chunks: err.chunks }),
+      ...(err.businesses && { businesses: err.businesses }),
+    });
+  }
+}
+
+// ----------------------------------------
+// Report routes
+// ----------------------------------------
+// GET /reports    – list the configured report definitions
+// GET /businesses – list the configured Walla businesses
+// GET /destinations – list the configured export destinations
+// GET /export/:report?start=YYYY-MM-DD&end=YYYY-MM-DD
+// ----------------------------------------
+router.get("/reports", (_req, res) => {
+  res.json({ ok: true, reports: listReports() });
+});
+
+router.get("/businesses", (_req, res) => {
+  res.json({ ok: true, businesses: listBusinesses() });
+});
+
+router.get("/destinations", (_req, res) => {
+  res.json({ ok: true, destinations: listDestinations() });
+});
+
+router.get("/export/:report", (req, res) =>
+  handleExport(req.params.report, req, res)
+);
+
+// Legacy per-report routes, kept for existing callers
+router.get("/export-walla-sales", (req, res) =>
+  handleExport("sales", req, res)
+);
+router.get("/export-walla-first-purchase", (req, res) =>
+  handleExport("first-purchase", req, res)
+);
+
+export default router;
@@ -0,0 +1,156 @@
+// routes/jobs.js
+// Asynchronous export jobs
+// ----------------------------------------
+// POST /jobs            {report, business?, start, end, format?, chunk?,
+//                        extract?, webhook?, webhookMode?, destination?,
+//                        archive?, sync?, timeout?, refresh?, ...filters}
+// GET  /jobs/:id        – status: queued | running | waiting_for_code |
+//                         succeeded | failed
+// GET  /jobs/:id/file   – the result file of a succeeded job
+//
+// Non-admin API keys only see the jobs they created.
+// ----------------------------------------
+
+import express from "express";
+import { createJob, getJob, jobResultPath, toPublicJob } from "../lib/jobs.js";
+import { codedError } from "../lib/errors.js";
+import {
+  checkFilters,
+  requestCredentials,
+  businessesWithoutCredentials,
+  missingCredentials,
+  checkExportParams,
+  checkScope,
+  scopedBusiness,
+  paramError,
+  sendError,
+} from "../lib/http.js";
+
+const router = express.Router();
+
+// The job, when the request's API key may see it; otherwise answers 404
+function visibleJob(req, res) {
+  const job = getJob(req.params.id);
+  const key = req.apiKey;
+  if (!job || (key && key.role !== "admin" && job.apiKey !== key.name)) {
+    const { error } = paramError("job_not_found", `No job '${req.params.id}'.`);
+    res.status(error.status).json(error.body);
+    return null;
+  }
+  return job;
+}
+
+router.post("/jobs", async (req, res) => {
+  const body = req.body || {};
+  const checked = checkExportParams({
+    ...body,
+    business: scopedBusiness(req, body.business),
+  });
+  if (checked.error) {
+    return res.status(checked.error.status).json(checked.error.body);
+  }
+
+  const scope = checkScope(req, res, {
+    reports: [checked.report.key],
+    businesses: checked.businesses,
+    range: { start: checked.start, end: checked.end },
+  });
+  if (scope.error) return res.status(scope.error.status).json(scope.error.body);
+
+  // Everything else in the body must be a filter of the report
+  const {
+    report: _report,
+    business: _business,
+    start: _start,
+    end: _end,
+    format: _format,
+    chunk: _chunk,
+    extract: _extract,
+    user: _user,
+    pass: _pass,
+    credentials,
+    webhook,
+    webhookMode: _webhookMode,
+    destination: _destination,
+    archive: _archive,
+    sync: _sync,
+    timeout: _timeout,
+    refresh: _refresh,
+    ...rest
+  } = body;
+
+  const unknown = checkFilters(checked.report, rest, { strict: true });
+  if (unknown.error) {
+    return res.status(unknown.error.status).json(unknown.error.body);
+  }
+
+  if (checked.upToDate) {
+    return res.json({
+      ok: true,
+      upToDate: true,
+      details: `Archive already synced through ${checked.end}.`,
+    });
+  }
+
+  const missing = businessesWithoutCredentials(req, checked.businesses);
+  if (missing.length) return missingCredentials(res, missing);
+
+  try {
+    const job = await createJob({
+      report: checked.report.key,
+      params: {
+        business: checked.business || null,
+        start: checked.start,
+        end: checked.end,
+        format: checked.format,
+        chunk: checked.chunk,
+        extract: checked.extract,
+        webhook: webhook || null,
+        webhookMode: checked.webhookMode,
+        destinations: checked.destinations,
+        archive: checked.archive,
+        filters: checked.filters,
+        timeout: checked.timeout ?? null,
+        refresh: checked.refresh,
+        // A stored account's name, resolved again if the job is re-queued
+        credentials: credentials ? String(credentials) : null,
+      },
+      creds: requestCredentials(req),
+      apiKey: req.apiKey?.name ?? null,
+    });
+
+    return res
+      .status(202)
+      .location(`/jobs/${job.id}`)
+      .json({ ok: true, jobId: job.id, status: job.status });
+  } catch (err) {
+    console.error("[JOBS] Could not create job:", err);
+    return sendError(res, codedError("job_create_failed", String(err)));
+  }
+});
+
+router.get("/jobs/:id", (req, res) => {
+  const job = visibleJob(req, res);
+  if (!job) return;
+  return res.json({ ok: true, job: toPublicJob(job) });
+});
+
+router.get("/jobs/:id/file", (req, res) => {
+  const job = visibleJob(req, res);
+  if (!job) return;
+
+  if (job.status !== "succeeded") {
+    const { error } = paramError(
+      "job_not_ready",
+      job.error
+        ? `Job '${job.id}' ${job.status}: ${job.error.details}`
+        : `Job '${job.id}' is ${job.status}.`
+    );
+    return res.status(error.status).json({ ...error.body, status: job.status });
+  }
+
+  res.type(job.result.mimeType);
+  return res.download(jobResultPath(job), job.result.fileName);
+});
+
+export default router;
@@ -0,0 +1,59 @@
+// routes/runs.js
+// Run records and the forensics kept for failed runs
+// ----------------------------------------
+// GET /runs/:id                  – status, error, failures (final URL, artifacts)
+// GET /runs/:id/artifacts/:name  – screenshot (.png), page HTML, trace (.zip,
+//                                  admin keys only)
+// ----------------------------------------
+
+import express from "express";
+import { getRun, runArtifactPath } from "../lib/runs.js";
+import { codedError } from "../lib/errors.js";
+import { paramError, sendError } from "../lib/http.js";
+
+const router = express.Router();
+
+router.get("/runs/:id", async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      const { error } = paramError("run_not_found", `No run '${req.params.id}'.`);
+      return res.status(error.status).json(error.body);
+    }
+    return res.json({ ok: true, run });
+  } catch (err) {
+    console.error("[RUNS] Could not read run:", err);
+    return sendError(res, codedError("run_store_failed", String(err)));
+  }
+});
+
+router.get("/runs/:id/artifacts/:name", async (req, res) => {
+  // Traces replay the logged-in session
+  if (req.params.name.endsWith(".zip") && req.apiKey && req.apiKey.role !== "admin") {
+    const { error } = paramError(
+      "forbidden",
+      `API key '${req.apiKey.name}' (${req.apiKey.role}) may not download traces.`
+    );
+    return res.status(error.status).json(error.body);
+  }
+
+  try {
+    const file = await runArtifactPath(req.params.id, req.params.name);
+    if (!file) {
+      const { error } = paramError(
+        "artifact_not_found",
+        `Run '${req.params.id}' has no artifact '${req.params.name}'.`
+      );
+      return res.status(error.status).json(error.body);
+    }
+
+    // Captured Walla HTML is never rendered from this origin
+    if (file.endsWith(".png")) return res.sendFile(file);
+    return res.download(file, req.params.name);
+  } catch (err) {
+    console.error("[RUNS] Could not read artifact:", err);
+    return sendError(res, codedError("run_store_failed", String(err)));
+  }
+});
+
+export default router;
@@ -0,0 +1,44 @@
+// routes/schedules.js
+// Recurring exports
+// ----------------------------------------
+// GET  /schedules          – definitions, next run and run history
+// POST /schedules/:id/run  – trigger a run now (runs in the background)
+// ----------------------------------------
+
+import express from "express";
+import {
+  listSchedules,
+  runSchedule,
+  isScheduleRunning,
+} from "../lib/scheduler.js";
+import { paramError } from "../lib/http.js";
+
+const router = express.Router();
+
+router.get("/schedules", (_req, res) => {
+  res.json({ ok: true, schedules: listSchedules() });
+});
+
+router.post("/schedules/:id/run", (req, res) => {
+  const { id } = req.params;
+
+  if (!listSchedules().some((s) => s.id === id)) {
+    const { error } = paramError("schedule_not_found", `No schedule '${id}'.`);
+    return res.status(error.status).json(error.body);
+  }
+
+  if (isScheduleRunning(id)) {
+    const { error } = paramError("schedule_running", `Schedule '${id}' is already running.`);
+    return res.status(error.status).json(error.body);
+  }
+
+  runSchedule(id, { trigger: "manual" }).catch((err) =>
+    console.error(`[SCHEDULE] Manual run of ${id} failed:`, err)
+  );
+
+  return res
+    .status(202)
+    .json({ ok: true, schedule: id, status: "started" });
+});
+
+export default router;
@@ -0,0 +1,142 @@
+// routes/session.js
+// Walla session management
+// ----------------------------------------
+// POST   /session/refresh – log in now and replace the stored session
+// DELETE /session         – forget the stored session for the account
+// Both take ?business=<key> (default: the default business)
+//
+// GET    /session/challenges – logins waiting for a verification code
+// POST   /session/verify     – { code, business?, challenge? } submits the
+//                              code to the waiting login (jobs, schedules)
+// ----------------------------------------
+
+import express from "express";
+import { refreshSession, sessionAccount } from "../lib/scraper.js";
+import { deleteSession } from "../lib/session.js";
+import {
+  listChallenges,
+  findChallenge,
+  submitCode,
+  publicChallenge,
+} from "../lib/verification.js";
+import { startRun, finishRun, failRun } from "../lib/runs.js";
+import { codedError } from "../lib/errors.js";
+import {
+  checkBusinessParam,
+  resolveCredentials,
+  missingCredentials,
+  sendError,
+  paramError,
+} from "../lib/http.js";
+
+const router = express.Router();
+
+// Session routes work on exactly one business
+function resolveSessionBusiness(req, res) {
+  const key = (req.body && req.body.business) || req.query.business;
+  const checked = checkBusinessParam(key);
+  if (checked.error) {
+    res.status(checked.error.status).json(checked.error.body);
+    return null;
+  }
+  if (checked.businesses.length !== 1) {
+    const { error } = paramError(
+      "invalid_params",
+      "Session routes need a single business, not 'all'."
+    );
+    res.status(error.status).json(error.body);
+    return null;
+  }
+  return checked.businesses[0];
+}
+
+router.post("/session/refresh", async (req, res) => {
+  const business = resolveSessionBusiness(req, res);
+  if (!business) return;
+
+  const { username, password, totpSecret } = resolveCredentials(req, business);
+  if (!username || !password) return missingCredentials(res, [business.key]);
+
+  const run = await startRun({ kind: "session_refresh", business: business.key });
+
+  try {
+    const result = await refreshSession({
+      business,
+      username,
+      password,
+      totpSecret,
+      runId: run.id,
+    });
+    await finishRun(run);
+    return res.json({ ok: true, runId: run.id, business: business.key, ...result });
+  } catch (err) {
+    console.error("[SESSION] Refresh failed:", err);
+    await failRun(run, err);
+    return sendError(res, err, { runId: run.id });
+  }
+});
+
+router.delete("/session", async (req, res) => {
+  const business = resolveSessionBusiness(req, res);
+  if (!business) return;
+
+  const { username } = resolveCredentials(req, business);
+  if (!username) return missingCredentials(res, [business.key]);
+
+  try {
+    const deleted = await deleteSession(sessionAccount(username, business));
+    return res.json({ ok: true, business: business.key, deleted });
+  } catch (err) {
+    console.error("[SESSION] Delete failed:", err);
+    return sendError(res, codedError("session_delete_failed", String(err)));
+  }
+});
+
+router.get("/session/challenges", (_req, res) => {
+  res.json({ ok: true, challenges: listChallenges() });
+});
+
+router.post("/session/verify", async (req, res) => {
+  const { code, business, challenge: id } = req.body || {};
+  const fail = (errorCode, details, extra = {}) => {
+    const { error } = paramError(errorCode, details);
+    return res.status(error.status).json({ ...error.body, ...extra });
+  };
+
+  if (!code) return fail("missing_params", "Body needs 'code'.");
+  if (!/^[A-Za-z0-9]{4,12}$/.test(String(code).trim())) {
+    return fail("invalid_params", "'code' must be 4-12 letters or digits.");
+  }
+
+  const challenge = findChallenge({ id, business });
+  if (!challenge) {
+    const open = listChallenges().length;
+    return fail(
+      "no_pending_challenge",
+      open > 1 && !id
+        ? `${open} logins are waiting for a code; pass 'challenge' (GET /session/challenges).`
+        : "No login is waiting for a verification code."
+    );
+  }
+
+  const outcome = submitCode(challenge, String(code).trim());
+  if (!outcome) {
+    return fail(
+      "verification_in_progress",
+      "The previous code is still being checked; try again in a moment."
+    );
+  }
+
+  const { accepted, attemptsLeft } = await outcome;
+  const summary = publicChallenge(challenge);
+  if (!accepted) {
+    return fail(
+      "verification_failed",
+      `Walla rejected the code (${attemptsLeft} attempt(s) left).`,
+      { challenge: summary, attemptsLeft }
+    );
+  }
+  return res.json({ ok: true, challenge: summary });
+});
+
+export default router;
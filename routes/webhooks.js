@@ -0,0 +1,49 @@
+// routes/webhooks.js
+// Dead-letter store for webhook deliveries that kept failing
+// ----------------------------------------
+// GET  /webhooks/failed                 – failed deliveries (without file data)
+// POST /webhooks/failed/:id/redeliver   – retry one; removed on success
+// ----------------------------------------
+
+import express from "express";
+import { listFailedDeliveries, redeliverFailed } from "../lib/webhook.js";
+import { codedError } from "../lib/errors.js";
+import { paramError, sendError } from "../lib/http.js";
+
+const router = express.Router();
+
+router.get("/webhooks/failed", async (_req, res) => {
+  try {
+    const deliveries = await listFailedDeliveries();
+    return res.json({ ok: true, deliveries });
+  } catch (err) {
+    console.error("[WEBHOOK] Could not list dead letters:", err);
+    return sendError(res, codedError("webhook_store_failed", String(err)));
+  }
+});
+
+router.post("/webhooks/failed/:id/redeliver", async (req, res) => {
+  try {
+    const result = await redeliverFailed(req.params.id);
+    if (!result) {
+      const { error } = paramError(
+        "delivery_not_found",
+        `No failed delivery '${req.params.id}'.`
+      );
+      return res.status(error.status).json(error.body);
+    }
+    if (!result.ok) {
+      const { error } = paramError(
+        "webhook_failed",
+        `Redelivery failed again (${result.error}); it stays in the dead-letter store.`
+      );
+      return res.status(error.status).json({ ...error.body, webhookResult: result });
+    }
+    return res.json({ ok: true, webhookResult: result });
+  } catch (err) {
+    console.error("[WEBHOOK] Redelivery failed:", err);
+    return sendError(res, codedError("webhook_store_failed", String(err)));
+  }
+});
+
+export default router;
@@ -0,0 +1,46 @@
+// test/archive.test.js
+// Where sync=1 picks up: the archive's ingests, in a scratch DATA_DIR
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+let dir;
+let archive;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "walla-archive-"));
+  process.env.DATA_DIR = dir;
+  archive = await import("../lib/archive.js");
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function ingest(business, start, end) {
+  archive.recordEmptyIngest("sales", business, { start, end });
+}
+
+test("sync starts after the last ingest, or at the first gap before it", () => {
+  assert.equal(archive.syncStart("sales", ["the-pearl"]), null);
+
+  ingest("the-pearl", "2024-06-01", "2024-06-10");
+  ingest("the-pearl", "2024-06-05", "2024-06-12");
+  assert.equal(archive.syncStart("sales", ["the-pearl"]), "2024-06-13");
+
+  // 06-13..06-20 failed, a later range went through
+  ingest("the-pearl", "2024-06-21", "2024-06-30");
+  assert.equal(archive.syncStart("sales", ["the-pearl"]), "2024-06-13");
+
+  ingest("the-pearl", "2024-06-13", "2024-06-20");
+  assert.equal(archive.syncStart("sales", ["the-pearl"]), "2024-07-01");
+});
+
+test("with several businesses sync starts after the least covered one", () => {
+  ingest("second-studio", "2024-06-01", "2024-06-15");
+  assert.equal(archive.syncStart("sales", ["the-pearl", "second-studio"]), "2024-06-16");
+  assert.equal(archive.syncStart("sales", ["the-pearl", "never-synced"]), null);
+});
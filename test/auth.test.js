@@ -0,0 +1,144 @@
+// test/auth.test.js
+// Scoped API keys, per-key rate limits and the audit log (no browser: every
+// request here is decided before an export would start)
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startService } from "./helpers.js";
+import { hashApiKey } from "../lib/api-keys.js";
+
+const KEYS = {
+  admin: "admin-key-0123456789",
+  bookkeeper: "bookkeeper-key-0123456789",
+  vendor: "vendor-key-0123456789",
+  limited: "limited-key-0123456789",
+};
+
+let service;
+
+before(async () => {
+  service = await startService({
+    AUTH_DISABLED: "0",
+    SCRAPER_TOKEN: "legacy-token",
+    WALLA_BUSINESSES: JSON.stringify({
+      "the-pearl": { slug: "the-pearl", bizId: "2657", name: "The Pearl" },
+      "second-studio": { slug: "second-studio", bizId: "4100", name: "Second Studio" },
+    }),
+    API_KEYS: JSON.stringify({
+      admin: { keyHash: hashApiKey(KEYS.admin), role: "admin" },
+      bookkeeper: {
+        keyHash: hashApiKey(KEYS.bookkeeper),
+        role: "archive",
+        businesses: ["the-pearl"],
+      },
+      vendor: {
+        keyHash: hashApiKey(KEYS.vendor),
+        role: "export",
+        reports: ["sales"],
+        businesses: ["the-pearl"],
+      },
+      limited: { keyHash: hashApiKey(KEYS.limited), role: "archive", rateLimit: 2 },
+    }),
+  });
+});
+
+after(async () => {
+  await service?.stop();
+});
+
+async function get(path, key) {
+  const resp = await fetch(`${service.url}${path}`, {
+    headers: key ? { "x-api-key": key } : {},
+  });
+  return { status: resp.status, headers: resp.headers, body: await resp.json() };
+}
+
+test("requests without a known key are unauthorized", async () => {
+  for (const key of [undefined, "wrong-key"]) {
+    const { status, body } = await get("/reports", key);
+    assert.equal(status, 401);
+    assert.equal(body.error, "unauthorized");
+  }
+  // SCRAPER_TOKEN still works, as an admin key
+  assert.equal((await get("/schedules", "legacy-token")).status, 200);
+});
+
+test("stored account names are only checked for authenticated callers", async () => {
+  const path = "/export/sales?start=2024-06-01&end=2024-06-05&credentials=nope";
+  const anonymous = await get(path);
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.error, "unauthorized");
+
+  assert.equal((await get(path, KEYS.admin)).body.error, "credential_store_disabled");
+
+  // Secrets in the query string are refused before the key is checked
+  const secret = await get("/export/sales?start=2024-06-01&end=2024-06-05&pass=hunter2");
+  assert.equal(secret.status, 400);
+  assert.equal(secret.body.error, "invalid_params");
+});
+
+test("roles and report / business scopes are enforced", async () => {
+  const archive = await get("/transactions?from=2024-06-01", KEYS.bookkeeper);
+  assert.equal(archive.status, 200, JSON.stringify(archive.body));
+
+  const exportAttempt = await get("/export/sales?start=2024-06-01&end=2024-06-05", KEYS.bookkeeper);
+  assert.equal(exportAttempt.status, 403);
+  assert.equal(exportAttempt.body.error, "forbidden");
+
+  const otherReport = await get(
+    "/export/first-purchase?start=2024-06-01&end=2024-06-05",
+    KEYS.vendor
+  );
+  assert.equal(otherReport.status, 403);
+  assert.match(otherReport.body.details, /report\(s\) first-purchase/);
+
+  const otherBusiness = await get(
+    "/export/sales?business=second-studio&start=2024-06-01&end=2024-06-05",
+    KEYS.vendor
+  );
+  assert.equal(otherBusiness.status, 403);
+  assert.match(otherBusiness.body.details, /business\(es\) second-studio/);
+
+  assert.equal((await get("/audit", KEYS.vendor)).status, 403);
+});
+
+test("each key has its own rate limit", async () => {
+  assert.equal((await get("/reports", KEYS.limited)).status, 200);
+  assert.equal((await get("/reports", KEYS.limited)).status, 200);
+
+  const limited = await get("/reports", KEYS.limited);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, "rate_limited");
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+
+  assert.equal((await get("/reports", KEYS.bookkeeper)).status, 200);
+});
+
+test("the audit log records who tried to export what", async () => {
+  const { status, body } = await get("/audit?actor=vendor", KEYS.admin);
+  assert.equal(status, 200);
+
+  const [latest, first] = body.entries;
+  assert.equal(body.total, 2);
+  assert.deepEqual(
+    {
+      report: first.report,
+      business: first.business,
+      start: first.start,
+      end: first.end,
+      status: first.status,
+      outcome: first.outcome,
+      error: first.error,
+    },
+    {
+      report: "first-purchase",
+      business: "the-pearl",
+      start: "2024-06-01",
+      end: "2024-06-05",
+      status: 403,
+      outcome: "error",
+      error: "forbidden",
+    }
+  );
+  assert.equal(latest.business, "second-studio");
+});
@@ -0,0 +1,120 @@
+// test/browser-pool.test.js
+// The pool's slots and FIFO queue, with chromium.launch stubbed out
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { chromium } from "playwright";
+
+let pool;
+let launchMock;
+const browsers = [];
+
+before(async () => {
+  process.env.MAX_CONCURRENT_EXPORTS = "1";
+  process.env.MAX_QUEUE_DEPTH = "2";
+  process.env.MAX_QUEUE_WAIT_MS = "1000";
+
+  launchMock = test.mock.method(chromium, "launch", async () => {
+    const browser = Object.assign(new EventEmitter(), { close: async () => {} });
+    browsers.push(browser);
+    return browser;
+  });
+  pool = await import("../lib/browser-pool.js");
+});
+
+after(async () => {
+  await pool.closeBrowser();
+});
+
+// A pooled job that holds its slot until release() is called
+function hold(name, order, opts) {
+  let release;
+  const released = new Promise((resolve) => (release = resolve));
+  const done = pool.withPooledBrowser(async () => {
+    order.push(name);
+    await released;
+  }, opts);
+  return { done, release };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("waiting exports get the slot in arrival order; a full queue is refused", async () => {
+  const order = [];
+  const first = hold("first", order);
+  const second = hold("second", order);
+  const third = hold("third", order);
+  await tick();
+
+  assert.deepEqual(order, ["first"]);
+  assert.equal(pool.poolStats().queueDepth, 2);
+
+  await assert.rejects(
+    pool.withPooledBrowser(async () => {}),
+    (err) => err.code === "queue_full" && err.retryAfter >= 1
+  );
+
+  third.release();
+  second.release();
+  first.release();
+  await Promise.all([first.done, second.done, third.done]);
+
+  assert.deepEqual(order, ["first", "second", "third"]);
+  assert.deepEqual(
+    [pool.poolStats().activeJobs, pool.poolStats().queueDepth],
+    [0, 0]
+  );
+  assert.equal(launchMock.mock.callCount(), 1);
+});
+
+test("a queued export gives up after MAX_QUEUE_WAIT_MS with Retry-After", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const order = [];
+  const first = hold("first", order);
+  await tick();
+
+  const waiting = pool.withPooledBrowser(async () => order.push("late"));
+  t.mock.timers.tick(1000);
+  await assert.rejects(
+    waiting,
+    (err) => err.code === "queue_timeout" && err.retryAfter >= 1
+  );
+
+  first.release();
+  await first.done;
+  assert.deepEqual(order, ["first"]);
+  assert.equal(pool.poolStats().activeJobs, 0);
+});
+
+test("an aborted request leaves the queue without taking a slot", async () => {
+  const order = [];
+  const first = hold("first", order);
+  await tick();
+
+  const controller = new AbortController();
+  const waiting = pool.withPooledBrowser(async () => order.push("aborted"), {
+    signal: controller.signal,
+  });
+  controller.abort(new Error("client went away"));
+  await assert.rejects(waiting, /client went away/);
+  assert.equal(pool.poolStats().queueDepth, 0);
+
+  const next = hold("next", order);
+  first.release();
+  next.release();
+  await Promise.all([first.done, next.done]);
+  assert.deepEqual(order, ["first", "next"]);
+});
+
+test("a disconnected browser is launched again on next use", async () => {
+  const previous = pool.poolStats();
+  browsers.at(-1).emit("disconnected");
+
+  await pool.withPooledBrowser(async (browser) => {
+    assert.equal(browser, browsers.at(-1));
+  });
+  const stats = pool.poolStats();
+  assert.equal(stats.browserLaunches, previous.browserLaunches + 1);
+  assert.equal(stats.browserCrashes, previous.browserCrashes + 1);
+});
@@ -0,0 +1,135 @@
+// test/cache.test.js
+// The result cache for repeated exports, and Idempotency-Key on POSTs
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockWalla, MOCK_USER, MOCK_PASS } from "./mock-walla.js";
+import { startService, browserAvailable } from "./helpers.js";
+import { cacheTtl } from "../lib/result-cache.js";
+import { resolveRange } from "../lib/date-ranges.js";
+
+const BROWSER = await browserAvailable();
+const skip = BROWSER ? false : "Chromium is not available";
+
+let mock;
+let service;
+
+before(async () => {
+  mock = await startMockWalla();
+  service = await startService({
+    RESULT_CACHE: "1",
+    WALLA_BASE_URL: mock.url,
+    WALLA_USER: MOCK_USER,
+    WALLA_PASS: MOCK_PASS,
+    MAX_CONCURRENT_EXPORTS: "1",
+    RUN_TRACES: "0",
+  });
+});
+
+after(async () => {
+  await service?.stop();
+  await mock?.close();
+});
+
+beforeEach(() => mock.reset());
+
+async function get(path) {
+  const resp = await fetch(`${service.url}${path}`);
+  return { resp, body: await resp.json() };
+}
+
+function postJob(body, key) {
+  return fetch(`${service.url}/jobs`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      ...(key && { "idempotency-key": key }),
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+// ----------------------------------------
+// Result cache
+// ----------------------------------------
+test("closed ranges are kept long, ranges reaching today briefly", () => {
+  assert.equal(cacheTtl("2024-06-30"), 604800);
+  assert.equal(cacheTtl(resolveRange("today").end), 300);
+});
+
+test("a repeated export is answered from the cache", { skip }, async () => {
+  const path = "/export/sales?start=2024-06-10&end=2024-06-20&format=json";
+
+  const first = await get(path);
+  assert.equal(first.resp.status, 200, JSON.stringify(first.body));
+  assert.equal(first.resp.headers.get("x-cache"), "MISS");
+  assert.equal(first.body.cached, false);
+  const logins = mock.stats.logins;
+
+  const second = await get(path);
+  assert.equal(second.resp.headers.get("x-cache"), "HIT");
+  assert.equal(second.body.cached, true);
+  assert.ok(second.body.cachedAt);
+  assert.deepEqual(second.body.rows, first.body.rows);
+  assert.equal(mock.stats.logins, logins);
+
+  // Other filters are another entry; refresh=1 exports again
+  const accrual = await get(`${path}&basis=accrual`);
+  assert.equal(accrual.resp.headers.get("x-cache"), "MISS");
+
+  const refreshed = await get(`${path}&refresh=1`);
+  assert.equal(refreshed.resp.headers.get("x-cache"), "MISS");
+  assert.equal(refreshed.body.cached, false);
+  assert.ok(mock.stats.logins > logins);
+});
+
+test("archive=1 exports and ingests again instead of answering from the cache", { skip }, async () => {
+  const path = "/export/sales?start=2024-06-01&end=2024-06-03&format=json";
+
+  const first = await get(`${path}&archive=1`);
+  assert.equal(first.resp.status, 200, JSON.stringify(first.body));
+  assert.ok(first.body.archive.rowCount > 0);
+
+  const again = await get(`${path}&archive=1`);
+  assert.equal(again.resp.headers.get("x-cache"), "MISS");
+  assert.equal(again.body.archive.rowCount, first.body.archive.rowCount);
+  assert.equal(again.body.archive.updated, first.body.archive.rowCount);
+
+  // Its result is cached for exports that do not ingest
+  const plain = await get(path);
+  assert.equal(plain.resp.headers.get("x-cache"), "HIT");
+});
+
+// ----------------------------------------
+// Idempotency-Key
+// ----------------------------------------
+test("a retried POST /jobs with the same Idempotency-Key gets the same job", async () => {
+  const job = { report: "sales", start: "2024-07-01", end: "2024-07-02" };
+
+  const [a, b] = await Promise.all([postJob(job, "sync-42"), postJob(job, "sync-42")]);
+  const [bodyA, bodyB] = [await a.json(), await b.json()];
+  assert.equal(a.status, 202);
+  assert.equal(b.status, 202);
+  assert.equal(bodyA.jobId, bodyB.jobId);
+  assert.equal(
+    [a, b].filter((r) => r.headers.get("idempotent-replayed") === "true").length,
+    1
+  );
+
+  const later = await postJob(job, "sync-42");
+  assert.equal((await later.json()).jobId, bodyA.jobId);
+  assert.equal(later.headers.get("location"), `/jobs/${bodyA.jobId}`);
+
+  const changed = await postJob({ ...job, end: "2024-07-03" }, "sync-42");
+  assert.equal(changed.status, 422);
+  assert.equal((await changed.json()).error, "idempotency_key_reused");
+
+  const fresh = await postJob(job, "sync-43");
+  assert.notEqual((await fresh.json()).jobId, bodyA.jobId);
+});
+
+test("a malformed Idempotency-Key is rejected", async () => {
+  const resp = await postJob({ report: "sales", start: "2024-07-01", end: "2024-07-02" }, "x".repeat(300));
+  assert.equal(resp.status, 400);
+  assert.equal((await resp.json()).error, "invalid_params");
+});
@@ -0,0 +1,67 @@
+// test/chunking.test.js
+// Splitting long ranges into chunks and merging the chunks' files
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveChunkUnit, splitRange, mergeChunkDownloads } from "../lib/chunking.js";
+
+function csv(text) {
+  return { fileName: "sales.csv", mimeType: "text/csv", buffer: Buffer.from(text) };
+}
+
+function chunksOf(ranges) {
+  return ranges.map((range) => ({ ...range, status: "ok", rows: null }));
+}
+
+const report = { key: "sales" };
+const opts = { start: "2024-05-01", end: "2024-07-31", business: { key: "the-pearl" } };
+
+test("auto splits only ranges longer than a month, into months", () => {
+  assert.equal(resolveChunkUnit("auto", "2024-06-01", "2024-07-01"), "none");
+  assert.equal(resolveChunkUnit("auto", "2024-06-01", "2024-07-02"), "month");
+  assert.equal(resolveChunkUnit("auto", "2024-06-01", "not-a-day"), "none");
+  assert.equal(resolveChunkUnit("week", "2024-06-01", "2024-06-02"), "week");
+});
+
+test("ranges split into adjacent chunks cut at the range's ends", () => {
+  assert.deepEqual(splitRange("2024-01-15", "2024-03-10", "month"), [
+    { start: "2024-01-15", end: "2024-01-31" },
+    { start: "2024-02-01", end: "2024-02-29" },
+    { start: "2024-03-01", end: "2024-03-10" },
+  ]);
+  assert.deepEqual(splitRange("2024-06-01", "2024-06-16", "week"), [
+    { start: "2024-06-01", end: "2024-06-07" },
+    { start: "2024-06-08", end: "2024-06-14" },
+    { start: "2024-06-15", end: "2024-06-16" },
+  ]);
+  assert.deepEqual(splitRange("2024-06-30", "2024-07-01", "day"), [
+    { start: "2024-06-30", end: "2024-06-30" },
+    { start: "2024-07-01", end: "2024-07-01" },
+  ]);
+  assert.deepEqual(splitRange("2024-06-01", "2024-09-30", "none"), [
+    { start: "2024-06-01", end: "2024-09-30" },
+  ]);
+});
+
+test("merged chunks keep identical rows and line columns up by name", async () => {
+  const chunks = chunksOf(splitRange("2024-05-01", "2024-07-31", "month"));
+  const merged = await mergeChunkDownloads(report, opts, chunks, [
+    csv("Client,Total\nAda,20\nAda,20\n"),
+    null,
+    csv("Total,Client,Location\n20,Ada,Main\n35,Grace,Main\n"),
+  ]);
+
+  assert.equal(
+    merged.buffer.toString(),
+    "Client,Total\r\nAda,20\r\nAda,20\r\nAda,20\r\nGrace,35\r\n"
+  );
+  assert.deepEqual(merged.chunks.map((c) => c.rows), [2, 0, 2]);
+  assert.equal(merged.fileName, "sales_the-pearl_2024-05-01_2024-07-31.csv");
+});
+
+test("chunks without any data merge to no_data", async () => {
+  const chunks = chunksOf(splitRange("2024-05-01", "2024-07-31", "month"));
+  await assert.rejects(mergeChunkDownloads(report, opts, chunks, [null, csv(""), null]), {
+    code: "no_data",
+  });
+});
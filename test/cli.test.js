@@ -0,0 +1,114 @@
+// test/cli.test.js
+// The walla-export command line against the mock
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { startMockWalla, MOCK_USER, MOCK_PASS } from "./mock-walla.js";
+import { browserAvailable } from "./helpers.js";
+
+const CLI = fileURLToPath(new URL("../bin/walla-export.js", import.meta.url));
+
+const BROWSER = await browserAvailable();
+const skip = BROWSER ? false : "Chromium is not available";
+
+let mock;
+let cwd;
+
+before(async () => {
+  mock = await startMockWalla();
+  cwd = await fs.mkdtemp(path.join(os.tmpdir(), "walla-cli-"));
+});
+
+after(async () => {
+  await mock?.close();
+  await fs.rm(cwd, { recursive: true, force: true });
+});
+
+beforeEach(() => mock.reset());
+
+// Runs the CLI in the scratch directory; resolves to { status, stdout, stderr }
+function walla(args, env = {}) {
+  const inherited = { ...process.env };
+  delete inherited.DATA_DIR;
+
+  const child = spawn(process.execPath, [CLI, ...args], {
+    cwd,
+    env: {
+      ...inherited,
+      WALLA_BASE_URL: mock.url,
+      WALLA_USER: MOCK_USER,
+      WALLA_PASS: MOCK_PASS,
+      RESULT_CACHE: "0",
+      RUN_TRACES: "0",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", (chunk) => (stdout += chunk));
+  child.stderr.on("data", (chunk) => (stderr += chunk));
+  const timer = setTimeout(() => child.kill("SIGKILL"), 120000);
+  return new Promise((resolve) =>
+    child.once("close", (status) => {
+      clearTimeout(timer);
+      resolve({ status, stdout, stderr });
+    })
+  );
+}
+
+test("usage problems exit 2 before anything is exported", async () => {
+  const noReport = await walla(["--range", "yesterday"]);
+  assert.equal(noReport.status, 2);
+  assert.match(noReport.stderr, /missing_params/);
+
+  const badRange = await walla(["sales", "--range", "last-fortnight"]);
+  assert.equal(badRange.status, 2);
+  assert.match(badRange.stderr, /Unknown range 'last-fortnight'/);
+
+  const badFilter = await walla(["sales", "--range", "yesterday", "--filter", "color=red"]);
+  assert.equal(badFilter.status, 2);
+  assert.match(badFilter.stderr, /Unknown param 'color'/);
+
+  assert.equal(mock.stats.logins, 0);
+});
+
+test("exports a report to a file, or its rows to stdout", { skip }, async () => {
+  const csv = await walla(["sales", "--start", "2024-06-01", "--end", "2024-06-05", "--out", "sales.csv"]);
+  assert.equal(csv.status, 0, csv.stderr);
+  assert.match(csv.stderr, /^Wrote sales\.csv \(\d+ bytes\), run /m);
+  const text = await fs.readFile(path.join(cwd, "sales.csv"), "utf8");
+  assert.ok(text.split("\n").length > 1);
+
+  const ndjson = await walla([
+    "first-purchase",
+    "--start", "2024-06-01",
+    "--end", "2024-06-30",
+    "--format", "ndjson",
+    "--out", "-",
+  ]);
+  assert.equal(ndjson.status, 0, ndjson.stderr);
+  const rows = ndjson.stdout.trim().split("\n").map((line) => JSON.parse(line));
+  assert.ok(rows.length > 0);
+  assert.match(ndjson.stderr, /^Wrote stdout \(\d+ bytes, \d+ rows\), run /m);
+});
+
+test("failures exit with their category's status", { skip }, async () => {
+  const args = ["sales", "--start", "2024-06-01", "--end", "2024-06-05", "--out", "-"];
+
+  const login = await walla(args, { WALLA_PASS: "wrong-password" });
+  assert.equal(login.status, 3, login.stderr);
+  assert.match(login.stderr, /walla-export: login_failed: /);
+  assert.equal(login.stdout, "");
+
+  mock.toggles.emptyData = true;
+  const empty = await walla(args);
+  assert.equal(empty.status, 4, empty.stderr);
+  assert.match(empty.stderr, /walla-export: no_data: /);
+});
@@ -0,0 +1,52 @@
+// test/cohorts.test.js
+// Joining parsed first-purchase and sales exports into cohorts
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { joinCohorts } from "../lib/cohorts.js";
+
+function parsed(keys, rows) {
+  return { columns: keys.map((key) => ({ key, header: key })), rows };
+}
+
+test("clients are joined by id when the exports have no name column", () => {
+  const result = joinCohorts({
+    firstPurchases: parsed(
+      ["clientId", "firstPurchaseDate"],
+      [
+        { clientId: "0042", firstPurchaseDate: "2024-06-03" },
+        { clientId: "0043", firstPurchaseDate: "2024-06-04" },
+      ]
+    ),
+    sales: parsed(
+      ["clientId", "paidDate", "total"],
+      [
+        { clientId: "0042", paidDate: "2024-06-05", total: 20 },
+        { clientId: "0043", paidDate: "2024-07-20", total: 35.5 },
+      ]
+    ),
+    groupBy: "week",
+    horizonDays: 30,
+    salesEnd: "2024-07-31",
+  });
+
+  assert.equal(result.matchedBy, "clientId");
+  assert.deepEqual(
+    result.cohorts.map((c) => [c.cohort, c.clients, c.revenue]),
+    [["2024-06-03", 2, 20]]
+  );
+});
+
+test("without client ids a name column is required", () => {
+  assert.throws(
+    () =>
+      joinCohorts({
+        firstPurchases: parsed(["firstPurchaseDate"], []),
+        sales: null,
+        groupBy: "month",
+        horizonDays: 30,
+        salesEnd: "2024-07-31",
+      }),
+    { code: "unexpected_columns" }
+  );
+});
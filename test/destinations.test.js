@@ -0,0 +1,126 @@
+// test/destinations.test.js
+// Directory and S3-compatible destinations (against a stand-in S3 endpoint)
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import express from "express";
+import { signV4 } from "../lib/s3.js";
+
+let dir;
+let s3;
+const objects = new Map();
+
+// Accepts PUTs when the checksum headers match the body
+function startFakeS3() {
+  const app = express();
+  app.put("/:bucket/*", express.raw({ type: () => true }), (req, res) => {
+    const md5 = crypto.createHash("md5").update(req.body).digest("base64");
+    const sha256 = crypto.createHash("sha256").update(req.body).digest("base64");
+    if (
+      !/^AWS4-HMAC-SHA256 Credential=test-key\//.test(req.get("authorization")) ||
+      req.get("content-md5") !== md5 ||
+      req.get("x-amz-checksum-sha256") !== sha256
+    ) {
+      return res.status(400).send("<Error><Message>Bad digest</Message></Error>");
+    }
+    objects.set(`${req.params.bucket}/${req.params[0]}`, req.body);
+    return res.set("etag", `"${md5}"`).end();
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "walla-dest-"));
+  s3 = await startFakeS3();
+
+  process.env.S3_ACCESS_KEY_ID_ARCHIVE = "test-key";
+  process.env.S3_SECRET_ACCESS_KEY_ARCHIVE = "test-secret";
+  process.env.DESTINATIONS = JSON.stringify({
+    local: {
+      type: "directory",
+      path: dir,
+      template: "{business}/{report}/{start}_{end}.{ext}",
+    },
+    "archive-s3": {
+      type: "s3",
+      endpoint: `http://127.0.0.1:${s3.address().port}`,
+      bucket: "walla",
+      prefix: "exports/{report}/",
+      template: "{business}/{start}_{end}.{ext}",
+      credentials: "ARCHIVE",
+    },
+  });
+});
+
+after(async () => {
+  await new Promise((resolve) => s3.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const file = {
+  fileName: "sales-report.csv",
+  mimeType: "text/csv",
+  buffer: Buffer.from("Transaction ID,Total\r\nT-1001,$25.00\r\n"),
+};
+const meta = {
+  business: "the-pearl",
+  report: "sales",
+  start: "2024-06-01",
+  end: "2024-06-30",
+};
+
+test("SigV4 signatures match the AWS test suite (get-vanilla)", () => {
+  const authorization = signV4({
+    method: "GET",
+    path: "/",
+    headers: { host: "example.amazonaws.com", "x-amz-date": "20150830T123600Z" },
+    payloadHash: crypto.createHash("sha256").update("").digest("hex"),
+    region: "us-east-1",
+    service: "service",
+    accessKeyId: "AKIDEXAMPLE",
+    secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY",
+    date: "20150830T123600Z",
+  });
+  assert.match(
+    authorization,
+    /Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31$/
+  );
+});
+
+test("writes to a directory and an S3 bucket with templated keys", async () => {
+  const { writeToDestinations } = await import("../lib/destinations.js");
+  const [local, remote] = await writeToDestinations(["local", "archive-s3"], file, meta);
+
+  assert.equal(local.ok, true, local.error);
+  assert.equal(local.key, "the-pearl/sales/2024-06-01_2024-06-30.csv");
+  assert.equal(local.size, file.buffer.length);
+  assert.deepEqual(await fs.readFile(path.join(dir, local.key)), file.buffer);
+
+  assert.equal(remote.ok, true, remote.error);
+  assert.equal(remote.key, "exports/sales/the-pearl/2024-06-01_2024-06-30.csv");
+  assert.equal(remote.bucket, "walla");
+  assert.ok(remote.etag);
+  assert.deepEqual(objects.get(`walla/${remote.key}`), file.buffer);
+});
+
+test("unknown destinations are rejected and failed writes reported", async () => {
+  const { resolveDestinationNames, writeToDestination, validateDestination } =
+    await import("../lib/destinations.js");
+  assert.match(resolveDestinationNames("local,nope").error, /Unknown destination\(s\): nope/);
+
+  const broken = validateDestination("broken", {
+    type: "s3",
+    endpoint: "http://127.0.0.1:1",
+    bucket: "walla",
+  });
+  const result = await writeToDestination(broken, file, meta);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /No S3 credentials/);
+});
@@ -0,0 +1,485 @@
+// test/export.test.js
+// End-to-end: the real export routes (server.js + Playwright) against the
+// mock Walla portal. Browser tests are skipped when Chromium cannot start;
+// point CHROMIUM_EXECUTABLE_PATH at a local Chromium to run them anyway.
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { startMockWalla, MOCK_USER, MOCK_PASS } from "./mock-walla.js";
+import { startService, browserAvailable } from "./helpers.js";
+
+const BROWSER = await browserAvailable();
+const skip = BROWSER ? false : "Chromium is not available";
+
+let mock;
+let service;
+let exportDir;
+
+before(async () => {
+  mock = await startMockWalla();
+  exportDir = await fs.mkdtemp(path.join(os.tmpdir(), "walla-exports-"));
+  service = await startService({
+    DESTINATIONS: JSON.stringify({
+      local: { type: "directory", path: exportDir, template: "{business}/{report}/{start}_{end}.{ext}" },
+    }),
+    CREDENTIALS_MASTER_KEY: "test-master-key",
+    // Never due; run by hand, delivering to a closed port
+    SCHEDULES: JSON.stringify([
+      {
+        id: "unreachable-hook",
+        cron: "0 0 1 1 *",
+        report: "sales",
+        // Reaches back to the mock's rows (2024)
+        range: "last-1000-days",
+        chunk: "none",
+        destination: { type: "webhook", url: "http://127.0.0.1:9/hooks/secret-token?sig=abc" },
+      },
+    ]),
+    WALLA_BASE_URL: mock.url,
+    WALLA_USER: MOCK_USER,
+    WALLA_PASS: MOCK_PASS,
+    MAX_CONCURRENT_EXPORTS: "1",
+    RUN_TRACES: "0",
+  });
+});
+
+after(async () => {
+  await service?.stop();
+  await mock?.close();
+  if (exportDir) await fs.rm(exportDir, { recursive: true, force: true });
+});
+
+beforeEach(() => mock.reset());
+
+async function get(path) {
+  const resp = await fetch(`${service.url}${path}`);
+  return { status: resp.status, body: await resp.json() };
+}
+
+// ----------------------------------------
+// Without a browser
+// ----------------------------------------
+test("GET /reports lists the built-in reports", async () => {
+  const { status, body } = await get("/reports");
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.reports.map((r) => r.key),
+    ["sales", "first-purchase"]
+  );
+});
+
+test("missing dates are a 400 missing_params", async () => {
+  const { status, body } = await get("/export/sales?start=2024-06-01");
+  assert.equal(status, 400);
+  assert.equal(body.error, "missing_params");
+  assert.equal(body.retryable, false);
+});
+
+test("unknown reports are a 404", async () => {
+  const { status, body } = await get("/export/nope?start=2024-06-01&end=2024-06-02");
+  assert.equal(status, 404);
+  assert.equal(body.error, "unknown_report");
+});
+
+test("unknown ids are 404s with the shared error body", async () => {
+  const id = "00000000-0000-0000-0000-000000000000";
+  const cases = [
+    ["GET", `/jobs/${id}`, "job_not_found"],
+    ["GET", `/jobs/${id}/file`, "job_not_found"],
+    ["GET", `/runs/${id}`, "run_not_found"],
+    ["GET", `/runs/${id}/artifacts/failure1-page.html`, "artifact_not_found"],
+    ["POST", "/schedules/nope/run", "schedule_not_found"],
+    ["POST", `/webhooks/failed/${id}/redeliver`, "delivery_not_found"],
+  ];
+  for (const [method, path, code] of cases) {
+    const resp = await fetch(`${service.url}${path}`, { method });
+    assert.equal(resp.status, 404, path);
+    const body = await resp.json();
+    assert.deepEqual(
+      { ok: body.ok, error: body.error, retryable: body.retryable },
+      { ok: false, error: code, retryable: false },
+      path
+    );
+    assert.equal(typeof body.details, "string", path);
+  }
+});
+
+test("malformed dates and reversed ranges are rejected", async () => {
+  for (const query of [
+    "start=2024-6-1&end=2024-06-05",
+    "start=2024-02-30&end=2024-03-05",
+    "start=2024-06-05&end=2024-06-01",
+  ]) {
+    const { status, body } = await get(`/export/sales?${query}`);
+    assert.equal(status, 400, query);
+    assert.equal(body.error, "invalid_params");
+  }
+});
+
+test("an unknown extract strategy is rejected", async () => {
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-05&extract=scrape"
+  );
+  assert.equal(status, 400);
+  assert.match(body.details, /auto, network, export/);
+});
+
+test("unknown destinations are a 400", async () => {
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-05&destination=local,nope"
+  );
+  assert.equal(status, 400);
+  assert.match(body.details, /nope/);
+});
+
+test("cohort revenue validates its horizon", async () => {
+  const { status, body } = await get(
+    "/reports/cohort-revenue?start=2024-06-01&end=2024-06-30&horizon=3m"
+  );
+  assert.equal(status, 400);
+  assert.equal(body.error, "invalid_params");
+});
+
+test("secrets in the query string are rejected and not logged", async () => {
+  for (const query of ["user=owner%40example.com&pass=hunter2", "key=abc123"]) {
+    const { status, body } = await get(
+      `/export/sales?start=2024-06-01&end=2024-06-05&${query}`
+    );
+    assert.equal(status, 400, query);
+    assert.equal(body.error, "invalid_params");
+  }
+  assert.doesNotMatch(service.output(), /hunter2|abc123/);
+  assert.match(service.output(), /pass=\*\*\*/);
+});
+
+test("stored credentials are write-only and referenced by name", async () => {
+  const put = await fetch(`${service.url}/credentials/Pearl`, {
+    method: "PUT",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ user: MOCK_USER, pass: MOCK_PASS }),
+  });
+  assert.equal(put.status, 201);
+
+  const { body: listed } = await get("/credentials");
+  assert.deepEqual(listed.credentials.map((c) => c.name), ["pearl"]);
+  assert.doesNotMatch(JSON.stringify(listed), new RegExp(MOCK_PASS));
+
+  const unknown = await get("/export/sales?start=2024-06-01&end=2024-06-05&credentials=nope");
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error, "unknown_credentials");
+
+  const removed = await fetch(`${service.url}/credentials/pearl`, { method: "DELETE" });
+  assert.equal(removed.status, 200);
+});
+
+test("GET /schedules does not show webhook URLs past their origin", async () => {
+  const { body } = await get("/schedules");
+  const [schedule] = body.schedules;
+  assert.equal(schedule.destination.url, "http://127.0.0.1:9/***");
+  assert.doesNotMatch(JSON.stringify(body), /secret-token|sig=/);
+});
+
+test("report filters are validated against the report's schema", async () => {
+  const { status, body } = await get(
+    "/export/first-purchase?start=2024-06-01&end=2024-06-05&groupBy=year"
+  );
+  assert.equal(status, 400);
+  assert.match(body.details, /groupBy.*day, week, month/);
+
+  const reports = await get("/reports");
+  const sales = reports.body.reports.find((r) => r.key === "sales");
+  assert.equal(sales.filters.basis.default, "cash");
+});
+
+// ----------------------------------------
+// Through the browser
+// ----------------------------------------
+test("exports sales as CSV from the captured report API", { skip }, async () => {
+  const { status, body } = await get("/export/sales?start=2024-06-01&end=2024-06-05");
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.ok, true);
+  assert.equal(body.strategy, "network");
+  assert.equal(body.fileName, "sales_the-pearl_2024-06-01_2024-06-05.csv");
+  assert.equal(mock.stats.exports, 0);
+
+  const csv = Buffer.from(body.fileBase64, "base64").toString("utf8");
+  const lines = csv.trim().split("\r\n");
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^Transaction Id,Paid Date,/);
+  assert.ok(body.runId);
+});
+
+test("exports show up in /metrics and in the run's log lines", { skip }, async () => {
+  const { body } = await get("/export/sales?start=2024-06-02&end=2024-06-03");
+  assert.equal(body.ok, true, JSON.stringify(body));
+
+  const metrics = await fetch(`${service.url}/metrics`).then((r) => r.text());
+  assert.match(
+    metrics,
+    /walla_exports_total\{report="sales",business="the-pearl",outcome="ok",error=""\} \d+/
+  );
+  assert.match(metrics, /walla_export_phase_seconds_count\{phase="navigation",outcome="ok"\} \d+/);
+  assert.match(metrics, /walla_browser_launches_total 1/);
+
+  // Every line of the export carries its runId
+  const lines = service
+    .output()
+    .split("\n")
+    .filter((line) => line.includes(body.runId))
+    .map((line) => JSON.parse(line));
+  assert.ok(lines.some((l) => l.component === "EXPORT:sales:the-pearl" && l.requestId));
+  assert.ok(lines.every((l) => l.business === "the-pearl" || l.component === "REQ" || l.component === "RUNS"));
+});
+
+test("extract=export downloads the raw CSV through the Export button", { skip }, async () => {
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-05&extract=export"
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.strategy, "export");
+  assert.equal(body.fileName, "sales-report.csv");
+  assert.equal(mock.stats.exports, 1);
+});
+
+test("Accept: text/csv streams the Export download itself", { skip }, async () => {
+  const resp = await fetch(
+    `${service.url}/export/sales?start=2024-06-01&end=2024-06-05&extract=export`,
+    { headers: { accept: "text/csv" } }
+  );
+  assert.equal(resp.status, 200);
+  assert.match(resp.headers.get("content-type"), /^text\/csv/);
+  assert.match(resp.headers.get("content-disposition"), /attachment; filename="sales-report\.csv"/);
+  assert.equal(resp.headers.get("x-start"), "2024-06-01");
+  assert.equal(resp.headers.get("x-strategy"), "export");
+  assert.ok(resp.headers.get("x-run-id"));
+  // Piped from the browser, not buffered: no Content-Length
+  assert.equal(resp.headers.get("content-length"), null);
+  assert.equal((await resp.text()).trim().split("\r\n").length, 3);
+});
+
+test("?as=xlsx converts the export to XLSX", { skip }, async () => {
+  const resp = await fetch(
+    `${service.url}/export/sales?start=2024-06-01&end=2024-06-05&as=xlsx`
+  );
+  assert.equal(resp.status, 200);
+  assert.match(resp.headers.get("content-type"), /spreadsheetml/);
+  assert.match(resp.headers.get("content-disposition"), /\.xlsx"/);
+  const bytes = Buffer.from(await resp.arrayBuffer());
+  assert.equal(bytes.readUInt32LE(0), 0x04034b50);
+});
+
+test("destination= writes the file and reports where", { skip }, async () => {
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-05&destination=local"
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  const [result] = body.destinationResults;
+  assert.equal(result.ok, true, result.error);
+  assert.equal(result.key, "the-pearl/sales/2024-06-01_2024-06-05.csv");
+
+  const written = await fs.readFile(path.join(exportDir, result.key));
+  assert.equal(written.length, result.size);
+  assert.equal(written.toString("base64"), body.fileBase64);
+});
+
+test("falls back to the Export button when the page calls no API", { skip }, async () => {
+  mock.toggles.api = false;
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-30&format=json"
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.strategy, "export");
+  assert.equal(body.rowCount, 5);
+});
+
+test("follows the report API's pagination", { skip }, async () => {
+  mock.toggles.apiPageSize = 2;
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-30&format=json"
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.strategy, "network");
+  assert.equal(body.rowCount, 5);
+  assert.equal(mock.stats.apiRequests, 3);
+  assert.deepEqual(
+    body.rows.map((r) => r.transactionId),
+    ["T-1001", "T-1002", "T-1003", "T-1004", "T-1005"]
+  );
+  assert.equal(body.rows[0].paidDate, "2024-06-03T09:15:00-04:00");
+});
+
+test("filters are passed on to the Walla report URL", { skip }, async () => {
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-05&basis=accrual&paymentMethod=card"
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(mock.stats.lastReportQuery.basis, "accrual");
+  assert.equal(mock.stats.lastReportQuery.paymentMethod, "card");
+  assert.equal(mock.stats.lastReportQuery.sortDir, "desc");
+});
+
+test("a format=json job's result file holds the rows", { skip }, async () => {
+  const created = await fetch(`${service.url}/jobs`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ report: "sales", start: "2024-06-01", end: "2024-06-05", format: "json" }),
+  });
+  assert.equal(created.status, 202);
+  const { jobId } = await created.json();
+
+  let job;
+  for (let i = 0; i < 240 && !["succeeded", "failed"].includes(job?.status); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    job = (await get(`/jobs/${jobId}`)).body.job;
+  }
+  assert.equal(job.status, "succeeded", JSON.stringify(job.error));
+
+  const resp = await fetch(`${service.url}/jobs/${jobId}/file`);
+  assert.equal(resp.status, 200);
+  const result = await resp.json();
+  assert.ok(result.rowCount > 0);
+  assert.equal(result.rows.length, result.rowCount);
+  assert.equal(result.id, undefined);
+});
+
+test("a schedule runs once at a time and fails its run when delivery fails", { skip }, async () => {
+  const trigger = () =>
+    fetch(`${service.url}/schedules/unreachable-hook/run`, { method: "POST" });
+  const statuses = (await Promise.all([trigger(), trigger()])).map((r) => r.status);
+  assert.deepEqual(statuses.sort(), [202, 409]);
+
+  let run;
+  for (let i = 0; i < 240 && (!run || run.status === "running"); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    run = (await get("/schedules")).body.schedules[0].runs[0];
+  }
+  assert.equal(run.status, "delivery_failed");
+
+  const { body } = await get(`/runs/${run.id}`);
+  assert.equal(body.run.status, "failed");
+  assert.match(body.run.error.details, /Delivery failed/);
+});
+
+test("exports first-purchase as typed JSON rows", { skip }, async () => {
+  const { status, body } = await get(
+    "/export/first-purchase?start=2024-06-01&end=2024-06-30&format=json"
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.rowCount, 3);
+  assert.deepEqual(body.rows[0], {
+    clientId: "C-501",
+    client: "Grace Hopper",
+    firstPurchaseDate: "2024-06-03",
+    offering: "Intro Week",
+    location: "Main Studio",
+  });
+});
+
+test("legacy route still works with a slow-rendering report", { skip }, async () => {
+  mock.toggles.slowRenderMs = 5000;
+  const { status, body } = await get(
+    "/export-walla-sales?start=2024-06-01&end=2024-06-30&format=json"
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.rowCount, 5);
+  assert.equal(body.rows[2].total, 1200);
+  assert.equal(body.rows[3].total, -25);
+});
+
+test("cohort revenue joins first purchases with the following sales", { skip }, async () => {
+  const { status, body } = await get(
+    "/reports/cohort-revenue?start=2024-06-01&end=2024-06-30&horizon=30d"
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.matchedBy, "client");
+  assert.deepEqual(
+    body.cohorts.map((c) => [c.cohort, c.clients, c.revenue]),
+    [
+      ["2024-06-03", 1, 18.5],
+      ["2024-06-10", 1, 1200],
+      ["2024-06-24", 1, 42],
+    ]
+  );
+  assert.deepEqual(body.cohorts[0].offerings, [{ offering: "Intro Week", clients: 1 }]);
+  assert.deepEqual(body.totals, { clients: 3, revenue: 1260.5, revenuePerClient: 420.17 });
+
+  const csv = await fetch(
+    `${service.url}/reports/cohort-revenue?start=2024-06-01&end=2024-06-30&horizon=30d&groupBy=month&format=csv`
+  ).then((r) => r.text());
+  const [header, row] = csv.trim().split("\r\n");
+  assert.match(header, /^Cohort,Start,End,Clients,Revenue,/);
+  assert.match(row, /^2024-06,2024-06-01,2024-06-30,3,1260.5,/);
+});
+
+test("an empty range is no_data", { skip }, async () => {
+  mock.toggles.emptyData = true;
+  const { status, body } = await get("/export/sales?start=2024-06-01&end=2024-06-05");
+  assert.equal(status, 200);
+  assert.equal(body.error, "no_data");
+  assert.equal(body.retryable, false);
+});
+
+test("a renamed Export button is selector_not_found with forensics", { skip }, async () => {
+  mock.toggles.exportLabel = "Download report";
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-05&extract=export"
+  );
+  assert.equal(status, 502);
+  assert.equal(body.error, "selector_not_found");
+  assert.equal(body.retryable, false);
+
+  const run = await get(`/runs/${body.runId}`);
+  assert.equal(run.status, 200);
+  const [failure] = run.body.run.failures;
+  assert.match(failure.finalUrl, /\/the-pearl\/reports\/sales/);
+  assert.ok(failure.artifacts.includes("failure1-screenshot.png"));
+  assert.ok(failure.artifacts.includes("failure1-page.html"));
+
+  const html = await fetch(
+    `${service.url}/runs/${body.runId}/artifacts/failure1-page.html`
+  ).then((r) => r.text());
+  assert.match(html, /Download report/);
+});
+
+test("a stored account named in the request is used over WALLA_USER", { skip, timeout: 120000 }, async () => {
+  const put = await fetch(`${service.url}/credentials/other-login`, {
+    method: "PUT",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ user: MOCK_USER, pass: "not-the-env-password" }),
+  });
+  assert.equal(put.status, 201);
+
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-05&credentials=other-login"
+  );
+  assert.equal(status, 401, JSON.stringify(body));
+  assert.equal(body.error, "login_failed");
+  assert.equal(mock.stats.failedLogins, 1);
+
+  await fetch(`${service.url}/credentials/other-login`, { method: "DELETE" });
+});
+
+test("a rejected password is login_failed", { skip, timeout: 120000 }, async () => {
+  mock.toggles.wrongPassword = true;
+  const { status, body } = await get("/export/sales?start=2024-06-01&end=2024-06-05");
+  assert.equal(status, 401);
+  assert.equal(body.error, "login_failed");
+  assert.equal(mock.stats.failedLogins, 1);
+});
+
+test("a rejected password ends a chunked export without retries", { skip, timeout: 120000 }, async () => {
+  mock.toggles.wrongPassword = true;
+  const { status, body } = await get(
+    "/export/sales?start=2024-06-01&end=2024-06-20&chunk=week"
+  );
+  assert.equal(status, 401);
+  assert.equal(body.error, "login_failed");
+  assert.deepEqual(
+    body.chunks.map((c) => [c.status, c.attempts]),
+    [["failed", 1], ["pending", 0], ["pending", 0]]
+  );
+  assert.equal(mock.stats.failedLogins, 1);
+});
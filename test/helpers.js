@@ -0,0 +1,106 @@
+// test/helpers.js
+// Runs the real service (server.js) as a child process for the tests
+
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { chromium } from "playwright";
+
+const SERVER = fileURLToPath(new URL("../server.js", import.meta.url));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+// Whether Playwright can start Chromium here (browser tests skip otherwise)
+export async function browserAvailable() {
+  try {
+    const browser = await chromium.launch({
+      executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined,
+    });
+    await browser.close();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Starts server.js in a scratch directory (its own DATA_DIR, no
+// businesses.json / schedules.json). Resolves to { url, output, kill,
+// exited, stop }; `exited` resolves to the exit code.
+export async function startService(env = {}) {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), "walla-test-"));
+  const port = await freePort();
+
+  const inherited = { ...process.env };
+  delete inherited.SCRAPER_TOKEN;
+  delete inherited.API_KEYS;
+  delete inherited.DATA_DIR;
+
+  // Open access unless the test configures API keys; every export goes to
+  // the mock unless the test turns the result cache on
+  const childEnv = {
+    ...inherited,
+    PORT: String(port),
+    AUTH_DISABLED: "1",
+    RESULT_CACHE: "0",
+    ...env,
+  };
+
+  const child = spawn(process.execPath, [SERVER], {
+    cwd,
+    env: childEnv,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  // After its output has been read, unlike "exit"
+  const exited = new Promise((resolve) => child.once("close", resolve));
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`service did not start:\n${output}`)),
+      15000
+    );
+    child.stdout.on("data", () => {
+      if (output.includes("listening on port")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`service exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    output: () => output,
+    kill: (signal) => child.kill(signal),
+    exited,
+    async stop() {
+      if (child.exitCode === null) {
+        // SIGTERM shuts the service down gracefully; force it should an
+        // export hang on
+        child.kill("SIGTERM");
+        const timer = setTimeout(() => child.kill("SIGKILL"), 5000);
+        await exited;
+        clearTimeout(timer);
+      }
+      await fs.rm(cwd, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// test/lifecycle.test.js
+// Exports stopped early (client disconnect, timeout=) and graceful shutdown
+// on SIGTERM
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockWalla, MOCK_USER, MOCK_PASS } from "./mock-walla.js";
+import { startService, browserAvailable } from "./helpers.js";
+
+const BROWSER = await browserAvailable();
+const skip = BROWSER ? false : "Chromium is not available";
+
+// The Export button shows up only after this long (extract=export)
+const SLOW_MS = 20000;
+const SLOW_EXPORT = "/export/sales?start=2024-06-01&end=2024-06-05&extract=export";
+
+let mock;
+
+const env = () => ({
+  WALLA_BASE_URL: mock.url,
+  WALLA_USER: MOCK_USER,
+  WALLA_PASS: MOCK_PASS,
+  MAX_CONCURRENT_EXPORTS: "1",
+  RUN_TRACES: "0",
+});
+
+before(async () => {
+  mock = await startMockWalla();
+});
+
+after(async () => {
+  await mock?.close();
+});
+
+beforeEach(() => mock.reset());
+
+async function poolStats(service) {
+  const resp = await fetch(`${service.url}/healthz`);
+  return resp.json();
+}
+
+async function waitFor(check, ms = 15000) {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    if (await check()) return true;
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  return false;
+}
+
+// ----------------------------------------
+// Cancellation
+// ----------------------------------------
+test("an invalid timeout is rejected", async () => {
+  const service = await startService(env());
+  try {
+    const resp = await fetch(`${service.url}${SLOW_EXPORT}&timeout=soon`);
+    assert.equal(resp.status, 400);
+    assert.match((await resp.json()).details, /timeout/);
+  } finally {
+    await service.stop();
+  }
+});
+
+test("timeout= aborts the export and frees the browser slot", { skip }, async () => {
+  mock.toggles.slowRenderMs = SLOW_MS;
+  const service = await startService(env());
+  try {
+    const startedAt = Date.now();
+    const resp = await fetch(`${service.url}${SLOW_EXPORT}&timeout=3`);
+    const body = await resp.json();
+
+    assert.equal(resp.status, 504, JSON.stringify(body));
+    assert.equal(body.error, "export_timeout");
+    assert.equal(body.retryable, true);
+    assert.ok(Date.now() - startedAt < SLOW_MS);
+    assert.equal((await poolStats(service)).activeJobs, 0);
+  } finally {
+    await service.stop();
+  }
+});
+
+test("a client disconnect closes the browser context", { skip }, async () => {
+  mock.toggles.slowRenderMs = SLOW_MS;
+  const service = await startService(env());
+  try {
+    const controller = new AbortController();
+    const request = fetch(`${service.url}${SLOW_EXPORT}`, { signal: controller.signal });
+    assert.ok(await waitFor(async () => (await poolStats(service)).activeJobs === 1));
+
+    controller.abort();
+    await assert.rejects(request);
+
+    assert.ok(await waitFor(async () => (await poolStats(service)).activeJobs === 0, 5000));
+    assert.match(service.output(), /Aborting: The client closed the connection/);
+  } finally {
+    await service.stop();
+  }
+});
+
+// ----------------------------------------
+// Shutdown
+// ----------------------------------------
+test("SIGTERM lets a running export finish, then exits", { skip }, async () => {
+  mock.toggles.slowRenderMs = 3000;
+  const service = await startService(env());
+  try {
+    const request = fetch(`${service.url}${SLOW_EXPORT}`);
+    assert.ok(await waitFor(async () => (await poolStats(service)).activeJobs === 1));
+
+    service.kill("SIGTERM");
+    const resp = await request;
+    assert.equal(resp.status, 200);
+    assert.equal((await resp.json()).ok, true);
+
+    assert.equal(await service.exited, 0);
+    assert.match(service.output(), /"component":"SHUTDOWN","msg":"Done"/);
+  } finally {
+    await service.stop();
+  }
+});
+
+test("exports still running after the grace period are aborted", { skip }, async () => {
+  mock.toggles.slowRenderMs = SLOW_MS;
+  const service = await startService({ ...env(), SHUTDOWN_GRACE_MS: "1000" });
+  try {
+    const request = fetch(`${service.url}${SLOW_EXPORT}`);
+    assert.ok(await waitFor(async () => (await poolStats(service)).activeJobs === 1));
+
+    service.kill("SIGTERM");
+    const resp = await request;
+    const body = await resp.json();
+    assert.equal(resp.status, 503, JSON.stringify(body));
+    assert.equal(body.error, "shutting_down");
+
+    assert.equal(await service.exited, 0);
+  } finally {
+    await service.stop();
+  }
+});
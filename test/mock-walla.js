@@ -0,0 +1,413 @@
+// test/mock-walla.js
+// Offline stand-in for manage.hellowalla.com: login page, sales and
+// first-purchase reports whose page loads its rows from a paginated JSON
+// API, and an Export button that downloads a CSV.
+//
+// Toggles (set at start, or at runtime via POST /__mock/toggles):
+//   emptyData     – reports render their "No results found" state
+//   slowRenderMs  – delay before the report table and Export button appear
+//   wrongPassword – every login is rejected
+//   exportLabel   – text of the Export button ("Export")
+//   api           – report pages fetch their rows from /api/... (true)
+//   apiPageSize   – rows per API page (50)
+//   mfa           – logins continue on a /verify page asking for a code
+//   mfaSecret     – base32 TOTP secret whose current code is accepted
+//                   (MOCK_CODE always is)
+//
+// Run standalone with `npm run mock-walla` and point the service at it with
+// WALLA_BASE_URL=http://localhost:8090 WALLA_USER=owner@example.com
+// WALLA_PASS=mock-password.
+
+import crypto from "node:crypto";
+import { pathToFileURL } from "node:url";
+import express from "express";
+import { totp } from "../lib/totp.js";
+
+export const MOCK_USER = "owner@example.com";
+export const MOCK_PASS = "mock-password";
+export const MOCK_CODE = "246810";
+
+const DEFAULT_TOGGLES = {
+  emptyData: false,
+  slowRenderMs: 0,
+  wrongPassword: false,
+  exportLabel: "Export",
+  api: true,
+  apiPageSize: 50,
+  mfa: false,
+  mfaSecret: null,
+};
+
+// API field converters (fixture strings -> JSON values)
+function text(value) {
+  return value;
+}
+
+function isoDateTime(usDate) {
+  const [date, time, meridiem] = usDate.split(" ");
+  const [month, day, year] = date.split("/");
+  if (!time) return `${year}-${month}-${day}`;
+  const [hour, minute] = time.split(":").map(Number);
+  const hour24 = (hour % 12) + (meridiem === "PM" ? 12 : 0);
+  const hh = String(hour24).padStart(2, "0");
+  return `${year}-${month}-${day}T${hh}:${String(minute).padStart(2, "0")}:00`;
+}
+
+function amount(value) {
+  const number = Number(value.replace(/[^0-9.]/g, ""));
+  return value.startsWith("(") ? -number : number;
+}
+
+// ----------------------------------------
+// Fixture data (June 2024)
+// ----------------------------------------
+const REPORTS = {
+  sales: {
+    title: "Sales",
+    fileName: "sales-report.csv",
+    headers: ["Transaction ID", "Paid Date", "Client", "Location", "Payment Method", "Total"],
+    rows: [
+      ["T-1001", "06/03/2024 9:15 AM", "Ada Lovelace", "Main Studio", "Card", "$25.00"],
+      ["T-1002", "06/03/2024 6:30 PM", "Grace Hopper", "Main Studio", "Cash", "$18.50"],
+      ["T-1003", "06/10/2024 7:00 AM", "Alan Turing", "Annex", "Card", "$1,200.00"],
+      ["T-1004", "06/17/2024 12:45 PM", "Ada Lovelace", "Annex", "Gift Card", "($25.00)"],
+      ["T-1005", "06/28/2024 5:05 PM", "Katherine Johnson", "Main Studio", "Card", "$42.00"],
+    ],
+    dateColumn: 1,
+    apiFields: {
+      transactionId: text,
+      paidDate: isoDateTime,
+      client: text,
+      location: text,
+      paymentMethod: text,
+      total: amount,
+    },
+  },
+  "first-purchase": {
+    title: "First purchase",
+    fileName: "first-purchase-report.csv",
+    headers: ["Client ID", "Client", "First Purchase Date", "Offering", "Location"],
+    rows: [
+      ["C-501", "Grace Hopper", "06/03/2024", "Intro Week", "Main Studio"],
+      ["C-502", "Alan Turing", "06/10/2024", "10 Class Pack", "Annex"],
+      ["C-503", "Katherine Johnson", "06/28/2024", "Intro Week", "Main Studio"],
+    ],
+    dateColumn: 2,
+    apiFields: {
+      clientId: text,
+      client: text,
+      firstPurchaseDate: isoDateTime,
+      offering: text,
+      location: text,
+    },
+  },
+};
+
+function isoDay(usDate) {
+  const [month, day, year] = usDate.split(" ")[0].split("/");
+  return `${year}-${month}-${day}`;
+}
+
+function rowsInRange(report, start, end) {
+  return report.rows.filter((row) => {
+    const day = isoDay(row[report.dateColumn]);
+    return (!start || day >= start) && (!end || day <= end);
+  });
+}
+
+function apiRow(report, row) {
+  return Object.fromEntries(
+    Object.entries(report.apiFields).map(([key, convert], i) => [key, convert(row[i])])
+  );
+}
+
+function csvCell(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function toCsv(headers, rows) {
+  return [headers, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// ----------------------------------------
+// Pages
+// ----------------------------------------
+function loginPage(redirectUrl, error) {
+  return `<!doctype html>
+<html><head><title>Log in – Walla</title></head>
+<body>
+  <h1>Log in</h1>
+  ${error ? `<p role="alert">${escapeHtml(error)}</p>` : ""}
+  <form method="post" action="/login?redirectUrl=${encodeURIComponent(redirectUrl)}">
+    <label for="email">Email</label>
+    <input id="email" name="email" type="email" autocomplete="username">
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password">
+    <button type="button" aria-label="Show password">Show</button>
+    <button type="submit">Log in</button>
+  </form>
+</body></html>`;
+}
+
+function verifyPage(error) {
+  return `<!doctype html>
+<html><head><title>Verify it's you – Walla</title></head>
+<body>
+  <h1>Verify it's you</h1>
+  <p>Enter the verification code we sent to your email.</p>
+  ${error ? `<p role="alert">${escapeHtml(error)}</p>` : ""}
+  <form method="post" action="/verify">
+    <label for="code">Code</label>
+    <input id="code" name="code" inputmode="numeric" autocomplete="one-time-code">
+    <button type="submit">Verify</button>
+  </form>
+</body></html>`;
+}
+
+function reportPage(report, rows, { exportUrl, apiUrl }, toggles) {
+  const content = toggles.emptyData || !rows.length
+    ? "<p>No results found</p>"
+    : `<button type="button" id="export">${escapeHtml(toggles.exportLabel)}</button>
+       <table>
+         <thead><tr>${report.headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>
+         <tbody>${rows
+           .map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`)
+           .join("")}</tbody>
+       </table>`;
+
+  // Rendered client-side, like Walla's React app
+  return `<!doctype html>
+<html><head><title>${escapeHtml(report.title)} – Walla</title></head>
+<body>
+  <h1>${escapeHtml(report.title)}</h1>
+  <div id="app">Loading…</div>
+  <script>
+    const apiUrl = ${JSON.stringify(toggles.api ? apiUrl : null)};
+    const loaded = apiUrl ? fetch(apiUrl).then((r) => r.json()) : Promise.resolve();
+    loaded.then(() => setTimeout(() => {
+      document.getElementById("app").innerHTML = ${JSON.stringify(content)};
+      const button = document.getElementById("export");
+      if (button) {
+        button.addEventListener("click", () => {
+          window.location.href = ${JSON.stringify(exportUrl)};
+        });
+      }
+    }, ${Number(toggles.slowRenderMs) || 0}));
+  </script>
+</body></html>`;
+}
+
+// ----------------------------------------
+// App
+// ----------------------------------------
+export function createMockWalla(initialToggles = {}) {
+  const toggles = { ...DEFAULT_TOGGLES, ...initialToggles };
+  const sessions = new Set();
+  const stats = {
+    logins: 0,
+    failedLogins: 0,
+    exports: 0,
+    apiRequests: 0,
+    verifications: 0,
+    failedCodes: 0,
+    lastReportQuery: null,
+  };
+  // Password accepted, code outstanding: token -> redirect URL
+  const pendingLogins = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  const sessionOf = (req) => {
+    const match = /(?:^|;\s*)mock_session=([^;]+)/.exec(req.headers.cookie || "");
+    return match && sessions.has(match[1]) ? match[1] : null;
+  };
+
+  const startSession = (req, res, token, redirectUrl) => {
+    sessions.add(token);
+    res.cookie("mock_session", token, { httpOnly: true, path: "/" });
+
+    // Only ever redirect within the mock
+    const target = new URL(redirectUrl, `${req.protocol}://${req.get("host")}`);
+    return res.redirect(`${target.pathname}${target.search}`);
+  };
+
+  const requireSession = (req, res, next) => {
+    if (sessionOf(req)) return next();
+    const here = `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+    return res.redirect(`/login?redirectUrl=${encodeURIComponent(here)}`);
+  };
+
+  app.get("/login", (req, res) => {
+    res.type("html").send(loginPage(String(req.query.redirectUrl || "/")));
+  });
+
+  app.post("/login", (req, res) => {
+    const redirectUrl = String(req.query.redirectUrl || "/");
+    const { email, password } = req.body || {};
+
+    if (toggles.wrongPassword || email !== MOCK_USER || password !== MOCK_PASS) {
+      stats.failedLogins++;
+      return res
+        .status(200)
+        .type("html")
+        .send(loginPage(redirectUrl, "Incorrect email or password"));
+    }
+
+    stats.logins++;
+    const token = crypto.randomBytes(16).toString("hex");
+    if (toggles.mfa) {
+      pendingLogins.set(token, redirectUrl);
+      res.cookie("mock_pending", token, { httpOnly: true, path: "/" });
+      return res.redirect("/verify");
+    }
+    return startSession(req, res, token, redirectUrl);
+  });
+
+  const pendingOf = (req) => {
+    const match = /(?:^|;\s*)mock_pending=([^;]+)/.exec(req.headers.cookie || "");
+    return match && pendingLogins.has(match[1]) ? match[1] : null;
+  };
+
+  app.get("/verify", (req, res) => {
+    if (!pendingOf(req)) return res.redirect("/login");
+    return res.type("html").send(verifyPage());
+  });
+
+  app.post("/verify", (req, res) => {
+    const token = pendingOf(req);
+    if (!token) return res.redirect("/login");
+
+    const code = String(req.body?.code || "").trim();
+    // Like most servers, the code of the previous 30 s step still counts
+    const valid = [MOCK_CODE];
+    if (toggles.mfaSecret) {
+      valid.push(totp(toggles.mfaSecret), totp(toggles.mfaSecret, Date.now() - 30000));
+    }
+    if (!valid.includes(code)) {
+      stats.failedCodes++;
+      return res.type("html").send(verifyPage("That code is incorrect"));
+    }
+
+    stats.verifications++;
+    const redirectUrl = pendingLogins.get(token);
+    pendingLogins.delete(token);
+    res.clearCookie("mock_pending", { path: "/" });
+    return startSession(req, res, token, redirectUrl);
+  });
+
+  app.get("/:slug", requireSession, (req, res) => {
+    res.type("html").send(`<h1>${escapeHtml(req.params.slug)}</h1>`);
+  });
+
+  app.get("/:slug/reports/:report", requireSession, (req, res) => {
+    const report = REPORTS[req.params.report];
+    if (!report) return res.status(404).send("Not found");
+
+    stats.lastReportQuery = req.query;
+    const { startDate, endDate } = req.query;
+    const rows = rowsInRange(report, startDate, endDate);
+    const range = { startDate: startDate || "", endDate: endDate || "" };
+    const urls = {
+      exportUrl:
+        `/${req.params.slug}/reports/${req.params.report}/export?` +
+        new URLSearchParams(range),
+      apiUrl:
+        `/api/${req.params.slug}/reports/${req.params.report}?` +
+        new URLSearchParams({ ...range, page: 1, pageSize: toggles.apiPageSize }),
+    };
+
+    return res.type("html").send(reportPage(report, rows, urls, toggles));
+  });
+
+  // The JSON the report page renders from; paginated with page / pageSize
+  app.get("/api/:slug/reports/:report", (req, res) => {
+    if (!sessionOf(req)) return res.status(401).json({ error: "unauthorized" });
+    const report = REPORTS[req.params.report];
+    if (!report) return res.status(404).json({ error: "not_found" });
+
+    stats.apiRequests++;
+    const all = toggles.emptyData
+      ? []
+      : rowsInRange(report, req.query.startDate, req.query.endDate);
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const pageSize = Math.max(1, Number(req.query.pageSize) || 50);
+    const rows = all.slice((page - 1) * pageSize, page * pageSize);
+
+    return res.json({
+      data: rows.map((row) => apiRow(report, row)),
+      page,
+      pageSize,
+      totalCount: all.length,
+    });
+  });
+
+  app.get("/:slug/reports/:report/export", requireSession, (req, res) => {
+    const report = REPORTS[req.params.report];
+    if (!report) return res.status(404).send("Not found");
+
+    stats.exports++;
+    const rows = rowsInRange(report, req.query.startDate, req.query.endDate);
+    res.attachment(report.fileName);
+    res.type("text/csv");
+    return res.send(toCsv(report.headers, rows));
+  });
+
+  // Test controls
+  app.get("/__mock/toggles", (_req, res) => res.json({ toggles, stats }));
+  app.post("/__mock/toggles", (req, res) => {
+    Object.assign(toggles, req.body || {});
+    res.json({ toggles });
+  });
+
+  return {
+    app,
+    toggles,
+    stats,
+    reset() {
+      Object.assign(toggles, DEFAULT_TOGGLES);
+      sessions.clear();
+      Object.assign(stats, {
+        logins: 0,
+        failedLogins: 0,
+        exports: 0,
+        apiRequests: 0,
+        verifications: 0,
+        failedCodes: 0,
+        lastReportQuery: null,
+      });
+      pendingLogins.clear();
+    },
+  };
+}
+
+// Listens on a free port; resolves to { url, toggles, stats, reset, close }
+export function startMockWalla(initialToggles = {}, port = 0) {
+  const mock = createMockWalla(initialToggles);
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, "127.0.0.1", () => {
+      resolve({
+        ...mock,
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () =>
+          new Promise((done) => {
+            server.close(done);
+            // The browser keeps connections alive
+            server.closeAllConnections();
+          }),
+      });
+    });
+    server.on("error", reject);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_WALLA_PORT) || 8090;
+  const { url } = await startMockWalla({}, port);
+  console.log(`Mock Walla listening on ${url} (${MOCK_USER} / ${MOCK_PASS})`);
+}
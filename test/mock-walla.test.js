@@ -0,0 +1,115 @@
+// test/mock-walla.test.js
+// The mock portal itself behaves like the Walla flow the scraper expects
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockWalla, MOCK_USER, MOCK_PASS } from "./mock-walla.js";
+
+let mock;
+
+before(async () => {
+  mock = await startMockWalla();
+});
+
+after(async () => {
+  await mock.close();
+});
+
+beforeEach(() => mock.reset());
+
+async function login(password = MOCK_PASS) {
+  const redirectUrl = `${mock.url}/the-pearl/reports/sales?startDate=2024-06-01&endDate=2024-06-05`;
+  const resp = await fetch(
+    `${mock.url}/login?redirectUrl=${encodeURIComponent(redirectUrl)}`,
+    {
+      method: "POST",
+      body: new URLSearchParams({ email: MOCK_USER, password }),
+      redirect: "manual",
+    }
+  );
+  return resp;
+}
+
+function cookieOf(resp) {
+  return resp.headers.get("set-cookie").split(";")[0];
+}
+
+test("report pages redirect to the login page without a session", async () => {
+  const resp = await fetch(`${mock.url}/the-pearl/reports/sales`, {
+    redirect: "manual",
+  });
+  assert.equal(resp.status, 302);
+  assert.match(resp.headers.get("location"), /^\/login\?redirectUrl=/);
+});
+
+test("login redirects back to the report with a session cookie", async () => {
+  const resp = await login();
+  assert.equal(resp.status, 302);
+  assert.equal(
+    resp.headers.get("location"),
+    "/the-pearl/reports/sales?startDate=2024-06-01&endDate=2024-06-05"
+  );
+  assert.match(cookieOf(resp), /^mock_session=/);
+});
+
+test("a wrong password stays on the login page", async () => {
+  const resp = await login("nope");
+  assert.equal(resp.status, 200);
+  assert.match(await resp.text(), /Incorrect email or password/);
+  assert.equal(mock.stats.failedLogins, 1);
+});
+
+test("the wrongPassword toggle rejects the right password", async () => {
+  mock.toggles.wrongPassword = true;
+  const resp = await login();
+  assert.equal(resp.status, 200);
+});
+
+test("export downloads a CSV limited to the requested range", async () => {
+  const cookie = cookieOf(await login());
+  const resp = await fetch(
+    `${mock.url}/the-pearl/reports/sales/export?startDate=2024-06-01&endDate=2024-06-05`,
+    { headers: { cookie } }
+  );
+
+  assert.equal(resp.status, 200);
+  assert.match(resp.headers.get("content-disposition"), /sales-report\.csv/);
+  const lines = (await resp.text()).trim().split("\r\n");
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^Transaction ID,Paid Date/);
+});
+
+test("report page toggles: empty data and export label", async () => {
+  const cookie = cookieOf(await login());
+  const page = () =>
+    fetch(`${mock.url}/the-pearl/reports/sales?startDate=2024-06-01&endDate=2024-06-30`, {
+      headers: { cookie },
+    }).then((r) => r.text());
+
+  assert.match(await page(), />Export</);
+
+  mock.toggles.exportLabel = "Download report";
+  assert.match(await page(), />Download report</);
+
+  mock.toggles.emptyData = true;
+  assert.match(await page(), /No results found/);
+});
+
+test("the report API pages its rows and needs a session", async () => {
+  const api = `${mock.url}/api/the-pearl/reports/sales?startDate=2024-06-01&endDate=2024-06-30&pageSize=2`;
+  assert.equal((await fetch(api)).status, 401);
+
+  const cookie = cookieOf(await login());
+  const body = await fetch(`${api}&page=3`, { headers: { cookie } }).then((r) => r.json());
+  assert.equal(body.totalCount, 5);
+  assert.deepEqual(body.data, [
+    {
+      transactionId: "T-1005",
+      paidDate: "2024-06-28T17:05:00",
+      client: "Katherine Johnson",
+      location: "Main Studio",
+      paymentMethod: "Card",
+      total: 42,
+    },
+  ]);
+});
@@ -0,0 +1,71 @@
+// test/parse.test.js
+// Typed rows from downloaded CSV / XLSX files
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseExport, convertDownload, toCamelKey } from "../lib/parse.js";
+
+function csv(text) {
+  return { fileName: "sales.csv", mimeType: "text/csv", buffer: Buffer.from(text) };
+}
+
+const SALES = [
+  "Client ID,Client,Phone,Paid Date,Total ($),Tip",
+  '0042,Ada Lovelace,(555) 123-4567,6/3/2024 2:30 PM,"$1,234.50",2',
+  "0107,Grace Hopper,555-987-6543,1/15/2024 9:05 AM,($12.50),",
+  "",
+].join("\n");
+
+test("columns get camelCase keys and a detected type", async () => {
+  const { source, columns } = await parseExport(csv(SALES));
+  assert.equal(source, "csv");
+  assert.deepEqual(
+    columns.map((c) => [c.key, c.header, c.type]),
+    [
+      ["clientId", "Client ID", "string"],
+      ["client", "Client", "string"],
+      ["phone", "Phone", "string"],
+      ["paidDate", "Paid Date", "date"],
+      ["total", "Total ($)", "currency"],
+      ["tip", "Tip", "number"],
+    ]
+  );
+  assert.equal(toCamelKey("Order #", 0), "orderNumber");
+  assert.equal(toCamelKey("", 3), "column4");
+});
+
+test("currency, accounting negatives, IDs and phone numbers", async () => {
+  const { rows } = await parseExport(csv(SALES));
+  assert.deepEqual(
+    rows.map((r) => [r.clientId, r.phone, r.total, r.tip]),
+    [
+      ["0042", "(555) 123-4567", 1234.5, 2],
+      ["0107", "555-987-6543", -12.5, null],
+    ]
+  );
+});
+
+test("date-times carry Walla's offset for their day, dates stay dates", async () => {
+  const { rows } = await parseExport(csv(SALES));
+  assert.deepEqual(
+    rows.map((r) => r.paidDate),
+    ["2024-06-03T14:30:00-04:00", "2024-01-15T09:05:00-05:00"]
+  );
+
+  const days = await parseExport(csv("Date\n2024-03-10\n03/11/24\n"));
+  assert.deepEqual(days.rows, [{ date: "2024-03-10" }, { date: "2024-03-11" }]);
+});
+
+test("a column mixing types stays text", async () => {
+  const { columns, rows } = await parseExport(csv("Ref\n12\nA-7\n"));
+  assert.equal(columns[0].type, "string");
+  assert.deepEqual(rows, [{ ref: "12" }, { ref: "A-7" }]);
+});
+
+test("XLSX files parse to the same rows as their CSV", async () => {
+  const xlsx = await convertDownload(csv(SALES), "xlsx");
+  const fromXlsx = await parseExport(xlsx);
+  const fromCsv = await parseExport(csv(SALES));
+  assert.equal(fromXlsx.source, "xlsx");
+  assert.deepEqual(fromXlsx.rows, fromCsv.rows);
+});
@@ -0,0 +1,67 @@
+// test/runs.test.js
+// Failure forensics with Playwright tracing on (the default), which must
+// never record the Walla password
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockWalla, MOCK_USER, MOCK_PASS } from "./mock-walla.js";
+import { startService, browserAvailable } from "./helpers.js";
+
+const BROWSER = await browserAvailable();
+const skip = BROWSER ? false : "Chromium is not available";
+
+const WRONG_PASS = "wrong-password-5f3a9c";
+
+let mock;
+let service;
+
+before(async () => {
+  mock = await startMockWalla();
+  service = await startService({ WALLA_BASE_URL: mock.url });
+});
+
+after(async () => {
+  await service?.stop();
+  await mock?.close();
+});
+
+beforeEach(() => mock.reset());
+
+async function exportAs(pass, query = "") {
+  const resp = await fetch(
+    `${service.url}/export/sales?start=2024-06-01&end=2024-06-05${query}`,
+    { headers: { "x-walla-user": MOCK_USER, "x-walla-pass": pass } }
+  );
+  return { status: resp.status, body: await resp.json() };
+}
+
+async function failureOf(runId) {
+  const { run } = await fetch(`${service.url}/runs/${runId}`).then((r) => r.json());
+  return run.failures[0];
+}
+
+test("a failed login's artifacts do not contain the password", { skip }, async () => {
+  const { status, body } = await exportAs(WRONG_PASS);
+  assert.equal(status, 401);
+  assert.equal(body.error, "login_failed");
+
+  const failure = await failureOf(body.runId);
+  assert.ok(failure.artifacts.length > 0);
+  assert.ok(!failure.artifacts.some((name) => name.endsWith(".zip")));
+
+  for (const name of failure.artifacts) {
+    const artifact = await fetch(`${service.url}/runs/${body.runId}/artifacts/${name}`);
+    assert.equal(artifact.status, 200);
+    const bytes = Buffer.from(await artifact.arrayBuffer());
+    assert.ok(!bytes.includes(WRONG_PASS), `${name} contains the password`);
+  }
+});
+
+test("a failure after the login keeps a trace", { skip }, async () => {
+  mock.toggles.exportLabel = "Download report";
+  const { status, body } = await exportAs(MOCK_PASS, "&extract=export");
+  assert.equal(status, 502);
+
+  const failure = await failureOf(body.runId);
+  assert.ok(failure.artifacts.includes("failure1-trace.zip"));
+});
@@ -0,0 +1,38 @@
+// test/scheduler.test.js
+// Schedule entries are checked when they are loaded, in a scratch DATA_DIR
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+let dir;
+let scheduler;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "walla-scheduler-"));
+  process.env.DATA_DIR = dir;
+  scheduler = await import("../lib/scheduler.js");
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("a schedule with an unknown chunk unit is rejected at load time", async () => {
+  process.env.SCHEDULES = JSON.stringify([
+    {
+      id: "weekly-sales",
+      cron: "0 6 * * 1",
+      report: "sales",
+      range: "last-7-days",
+      chunk: "weeks",
+      destination: { type: "directory", path: path.join(dir, "exports") },
+    },
+  ]);
+
+  await assert.rejects(scheduler.initScheduler(), {
+    message: /^Schedule 'weekly-sales': chunk must be one of auto, none, day, week, month$/,
+  });
+});
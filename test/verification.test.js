@@ -0,0 +1,149 @@
+// test/verification.test.js
+// Logins behind Walla's verification-code step: a configured TOTP secret,
+// and jobs waiting for an operator to POST /session/verify
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockWalla, MOCK_USER, MOCK_PASS, MOCK_CODE } from "./mock-walla.js";
+import { startService, browserAvailable } from "./helpers.js";
+import { totp } from "../lib/totp.js";
+import { openChallenge, findChallenge } from "../lib/verification.js";
+
+const BROWSER = await browserAvailable();
+const skip = BROWSER ? false : "Chromium is not available";
+
+// RFC 6238's test secret ("12345678901234567890"), base32
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+let mock;
+let service;
+
+before(async () => {
+  mock = await startMockWalla();
+  service = await startService({
+    WALLA_BUSINESSES: JSON.stringify({
+      "the-pearl": { slug: "the-pearl", bizId: "2657", name: "The Pearl" },
+      "totp-studio": {
+        slug: "totp-studio",
+        bizId: "4100",
+        name: "TOTP Studio",
+        credentials: "TOTP",
+      },
+    }),
+    WALLA_BASE_URL: mock.url,
+    WALLA_USER: MOCK_USER,
+    WALLA_PASS: MOCK_PASS,
+    WALLA_TOTP_TOTP: SECRET,
+    MAX_CONCURRENT_EXPORTS: "1",
+    RUN_TRACES: "0",
+  });
+});
+
+after(async () => {
+  await service?.stop();
+  await mock?.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  Object.assign(mock.toggles, { mfa: true, mfaSecret: SECRET });
+});
+
+async function call(method, path, body) {
+  const resp = await fetch(`${service.url}${path}`, {
+    method,
+    headers: body ? { "content-type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: resp.status, body: await resp.json() };
+}
+
+async function waitForJob(id, statuses) {
+  for (let i = 0; i < 240; i++) {
+    const { body } = await call("GET", `/jobs/${id}`);
+    if (statuses.includes(body.job.status)) return body.job;
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error(`job ${id} never reached ${statuses.join("/")}`);
+}
+
+test("TOTP codes match the RFC 6238 test vectors", () => {
+  assert.equal(totp(SECRET, 59000, { digits: 8 }), "94287082");
+  assert.equal(totp(SECRET, 1111111109000, { digits: 8 }), "07081804");
+  assert.equal(totp(SECRET, 20000000000000, { digits: 8 }), "65353130");
+});
+
+test("an expired challenge stops waiting for codes", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const challenge = openChallenge({ business: "the-pearl" });
+  assert.equal(findChallenge({ id: challenge.id }), challenge);
+
+  t.mock.timers.tick(10 * 60 * 1000);
+  assert.equal(findChallenge({ id: challenge.id }), null);
+  await assert.rejects(challenge.nextCode(), { code: "verification_failed" });
+
+  challenge.close();
+  await assert.rejects(challenge.nextCode(), { code: "verification_failed" });
+});
+
+test("verifying without a waiting login is no_pending_challenge", async () => {
+  const { status, body } = await call("POST", "/session/verify", { code: "123456" });
+  assert.equal(status, 404);
+  assert.equal(body.error, "no_pending_challenge");
+});
+
+test("a configured TOTP secret passes the verification step", { skip }, async () => {
+  const { status, body } = await call(
+    "GET",
+    "/export/sales?business=totp-studio&start=2024-06-01&end=2024-06-05&format=json"
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.ok, true);
+  assert.equal(mock.stats.verifications, 1);
+});
+
+test("a sync export without a secret is mfa_required", { skip }, async () => {
+  const { status, body } = await call(
+    "GET",
+    "/export/sales?business=the-pearl&start=2024-06-01&end=2024-06-05"
+  );
+  assert.equal(status, 401);
+  assert.equal(body.error, "mfa_required");
+});
+
+test("a job waits for a code submitted via /session/verify", { skip, timeout: 120000 }, async () => {
+  const created = await call("POST", "/jobs", {
+    report: "sales",
+    business: "the-pearl",
+    start: "2024-06-01",
+    end: "2024-06-05",
+  });
+  assert.equal(created.status, 202);
+
+  const waiting = await waitForJob(created.body.jobId, ["waiting_for_code", "failed"]);
+  assert.equal(waiting.status, "waiting_for_code");
+  assert.equal(waiting.challenge.business, "the-pearl");
+
+  const { body: listed } = await call("GET", "/session/challenges");
+  assert.deepEqual(
+    listed.challenges.map((c) => [c.id, c.jobId]),
+    [[waiting.challenge.id, created.body.jobId]]
+  );
+
+  const wrong = await call("POST", "/session/verify", { code: "000000" });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error, "verification_failed");
+  assert.equal(wrong.body.attemptsLeft, 2);
+
+  const right = await call("POST", "/session/verify", {
+    code: MOCK_CODE,
+    challenge: waiting.challenge.id,
+  });
+  assert.equal(right.status, 200, JSON.stringify(right.body));
+
+  const job = await waitForJob(created.body.jobId, ["succeeded", "failed"]);
+  assert.equal(job.status, "succeeded", JSON.stringify(job.error));
+  assert.equal(job.challenge, null);
+  assert.equal(mock.stats.failedCodes, 1);
+  assert.equal(mock.stats.verifications, 1);
+});
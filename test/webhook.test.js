@@ -0,0 +1,132 @@
+// test/webhook.test.js
+// Signed webhook deliveries, retries and the dead-letter store, against a
+// local receiver (scratch DATA_DIR)
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+const SECRET = "webhook-test-secret";
+const BACKOFF_MS = 50;
+
+let dir;
+let webhook;
+let receiver;
+let url;
+
+// Statuses the receiver answers with, in order (then 200); every request
+// it got, with its arrival time
+let statuses = [];
+let received = [];
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "walla-webhook-"));
+  process.env.DATA_DIR = dir;
+  process.env.WEBHOOK_SECRET = SECRET;
+  process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+  process.env.WEBHOOK_BACKOFF_MS = String(BACKOFF_MS);
+  webhook = await import("../lib/webhook.js");
+
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      received.push({ at: Date.now(), headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(statuses.shift() ?? 200).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  statuses = [];
+  received = [];
+});
+
+const meta = { runId: "run-1", report: "sales", business: "the-pearl" };
+const file = {
+  fileName: "sales.csv",
+  mimeType: "text/csv",
+  buffer: Buffer.from("Client,Total\nAda,20\n"),
+};
+
+test("deliveries are signed over the timestamp and the raw body", async () => {
+  const result = await webhook.sendWebhook(url, { meta, file });
+  assert.deepEqual(
+    { ok: result.ok, status: result.status, attempts: result.attempts },
+    { ok: true, status: 200, attempts: 1 }
+  );
+
+  const [{ headers, body }] = received;
+  const expected = crypto
+    .createHmac("sha256", SECRET)
+    .update(`${headers["x-webhook-timestamp"]}.`)
+    .update(body)
+    .digest("hex");
+  assert.equal(headers["x-webhook-signature"], `sha256=${expected}`);
+  assert.equal(headers["x-webhook-id"], result.deliveryId);
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.runId, "run-1");
+  assert.deepEqual(Buffer.from(payload.fileBase64, "base64"), file.buffer);
+});
+
+test("multipart deliveries carry the metadata and the file as parts", async () => {
+  await webhook.sendWebhook(url, { meta, file, mode: "multipart" });
+
+  const [{ headers, body }] = received;
+  assert.match(headers["content-type"], /^multipart\/form-data; boundary=/);
+  const text = body.toString();
+  assert.match(
+    text,
+    /name="metadata"\r\nContent-Type: application\/json\r\n\r\n\{"runId":"run-1"/
+  );
+  assert.match(
+    text,
+    /name="file"; filename="sales.csv"\r\nContent-Type: text\/csv\r\n\r\nClient,Total\nAda,20\n\r\n/
+  );
+});
+
+test("failed attempts are retried with a doubling backoff", async () => {
+  statuses = [500, 502];
+  const result = await webhook.sendWebhook(url, { meta, file });
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 3);
+
+  const [first, second, third] = received.map((r) => r.at);
+  assert.ok(second - first >= BACKOFF_MS, `waited ${second - first}ms`);
+  assert.ok(third - second >= 2 * BACKOFF_MS, `waited ${third - second}ms`);
+  // Every attempt is the same delivery
+  assert.equal(new Set(received.map((r) => r.headers["x-webhook-id"])).size, 1);
+});
+
+test("deliveries that keep failing are dead-lettered and can be redelivered", async () => {
+  statuses = [503, 503, 503];
+  const result = await webhook.sendWebhook(url, { meta, file });
+  const { ok, status, attempts, deadLettered } = result;
+  assert.deepEqual(
+    { ok, status, attempts, deadLettered },
+    { ok: false, status: 503, attempts: 3, deadLettered: true }
+  );
+
+  const [letter] = await webhook.listFailedDeliveries();
+  assert.equal(letter.id, result.deliveryId);
+  assert.equal(letter.lastStatus, 503);
+  assert.deepEqual(letter.file, { fileName: "sales.csv", mimeType: "text/csv" });
+
+  const redelivered = await webhook.redeliverFailed(letter.id);
+  assert.equal(redelivered.ok, true);
+  assert.equal(received.at(-1).body.toString(), received[0].body.toString());
+  assert.deepEqual(await webhook.listFailedDeliveries(), []);
+  assert.equal(await webhook.redeliverFailed(letter.id), null);
+});